@@ -0,0 +1,112 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const crypto = require('crypto')
+const { getImsUrl } = require('./endpoints.js')
+const { codes } = require('./errors.js')
+
+/**
+ * An authorization request, the state and codeVerifier must be kept until the user is redirected back
+ *
+ * @typedef {object} AuthorizationRequest
+ * @property {string} url - The IMS authorize URL to redirect the user to
+ * @property {string} state - The state, to verify against the state of the redirect
+ * @property {string} codeVerifier - The PKCE code verifier, to exchange the code for tokens
+ * @property {string} codeChallenge - The PKCE code challenge sent in the URL
+ */
+
+/**
+ * Generates a random URL-safe string, 43 characters long (the minimum length of a PKCE code verifier)
+ *
+ * @private
+ * @returns {string} The random string
+ */
+function randomString () {
+  return crypto.randomBytes(32).toString('base64url')
+}
+
+/**
+ * Builds the IMS authorize URL for the authorization code flow with PKCE (S256)
+ *
+ * @private
+ * @param {object} params - Authorization parameters
+ * @param {string} params.clientId - The client ID
+ * @param {string} params.redirectUri - Where IMS redirects the user with the code
+ * @param {string[]} [params.scopes=[]] - Array of scopes to request
+ * @param {string} [params.state] - The state, a random one is generated by default
+ * @param {string} [params.env='prod'] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {object} [options] - Transport options
+ * @param {string} [options.imsBaseUrl] - IMS base URL override for all environments
+ * @param {object} [options.imsUrls] - IMS base URL overrides, keyed by environment
+ * @returns {AuthorizationRequest} The authorization request
+ * @throws {Error} MISSING_PARAMETERS, BAD_SCOPES_FORMAT, or UNKNOWN_IMS_ENV
+ */
+function createAuthorizationRequest ({ clientId, redirectUri, scopes = [], state = randomString(), env } = {}, options = {}) {
+  const missingParams = []
+  if (!clientId) {
+    missingParams.push('clientId')
+  }
+  if (!redirectUri) {
+    missingParams.push('redirectUri')
+  }
+  if (missingParams.length > 0) {
+    throw new codes.MISSING_PARAMETERS({
+      messageValues: missingParams.join(', '),
+      sdkDetails: { clientId, redirectUri }
+    })
+  }
+  if (!Array.isArray(scopes)) {
+    throw new codes.BAD_SCOPES_FORMAT({
+      sdkDetails: { scopesType: typeof scopes }
+    })
+  }
+
+  const codeVerifier = randomString()
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+
+  const url = new URL(`${getImsUrl(env, options)}/ims/authorize/v2`)
+  url.searchParams.set('client_id', clientId)
+  url.searchParams.set('redirect_uri', redirectUri)
+  url.searchParams.set('response_type', 'code')
+  if (scopes.length > 0) {
+    url.searchParams.set('scope', scopes.join(','))
+  }
+  url.searchParams.set('state', state)
+  url.searchParams.set('code_challenge', codeChallenge)
+  url.searchParams.set('code_challenge_method', 'S256')
+
+  return { url: url.toString(), state, codeVerifier, codeChallenge }
+}
+
+/**
+ * Verifies that the state of the redirect is the state of the authorization request, protecting against CSRF
+ *
+ * @param {string} state - The state query parameter of the redirect
+ * @param {string} expectedState - The state of the authorization request
+ * @returns {void}
+ * @throws {Error} STATE_MISMATCH if the states are missing or different
+ */
+function verifyState (state, expectedState) {
+  const stateBuffer = Buffer.from(typeof state === 'string' ? state : '')
+  const expectedStateBuffer = Buffer.from(typeof expectedState === 'string' ? expectedState : '')
+  const isValid = stateBuffer.length > 0 && stateBuffer.length === expectedStateBuffer.length &&
+    crypto.timingSafeEqual(stateBuffer, expectedStateBuffer)
+  if (!isValid) {
+    throw new codes.STATE_MISMATCH({
+      sdkDetails: { hasState: Boolean(state), hasExpectedState: Boolean(expectedState) }
+    })
+  }
+}
+
+module.exports = {
+  createAuthorizationRequest,
+  verifyState
+}
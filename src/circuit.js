@@ -0,0 +1,60 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const DEFAULT_FAILURE_THRESHOLD = 5
+const DEFAULT_COOLDOWN = 30 * 1000 // 30 seconds in milliseconds
+
+/**
+ * Creates a circuit breaker, which opens after consecutive failures and stays open for a cool-down period.
+ * Once the cool-down is over, calls go through again: a success closes the circuit, a failure opens it again.
+ *
+ * @private
+ * @param {object} [options] - Circuit breaker options
+ * @param {number} [options.failureThreshold=5] - Number of consecutive failures that opens the circuit
+ * @param {number} [options.cooldown=30000] - How long in ms the circuit stays open
+ * @returns {{ getRemainingCooldown: Function, recordSuccess: Function, recordFailure: Function }} The circuit breaker
+ */
+function createCircuitBreaker ({ failureThreshold = DEFAULT_FAILURE_THRESHOLD, cooldown = DEFAULT_COOLDOWN } = {}) {
+  // state by circuit key: { failures, openUntil }
+  const circuits = new Map()
+
+  return {
+    /**
+     * @param {string} key - The circuit key
+     * @returns {number} How long in ms the circuit stays open, 0 if it is closed
+     */
+    getRemainingCooldown (key) {
+      const circuit = circuits.get(key)
+      return circuit ? Math.max(0, circuit.openUntil - Date.now()) : 0
+    },
+    /**
+     * @param {string} key - The circuit key
+     */
+    recordSuccess (key) {
+      circuits.delete(key)
+    },
+    /**
+     * @param {string} key - The circuit key
+     */
+    recordFailure (key) {
+      const circuit = circuits.get(key) || { failures: 0, openUntil: 0 }
+      circuit.failures++
+      if (circuit.failures >= failureThreshold) {
+        circuit.openUntil = Date.now() + cooldown
+      }
+      circuits.set(key, circuit)
+    }
+  }
+}
+
+module.exports = {
+  createCircuitBreaker
+}
@@ -0,0 +1,889 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const {
+  getAccessTokenByClientCredentials,
+  getAccessTokenByJwt,
+  getAccessTokenByAuthorizationCode,
+  getAccessTokenByRefreshToken,
+  getAndValidateCredentials,
+  selectNamedCredentials,
+  getCallSignal,
+  getAbortError,
+  validateToken,
+  revokeToken
+} = require('./ims.js')
+const authorization = require('./authorization.js')
+const session = require('./session.js')
+const { getTokenInfo } = require('./token.js')
+const { createCircuitBreaker } = require('./circuit.js')
+const { createDefaultProviders } = require('./providers.js')
+const { withSpan } = require('./tracing.js')
+const logger = require('./logger.js')
+const { codes } = require('./errors.js')
+const { TTLCache } = require('@isaacs/ttlcache')
+const { EventEmitter } = require('events')
+const crypto = require('crypto')
+
+// include-ims-credentials annotation input key (keep in sync with src/constants.js)
+const IMS_ENV_INPUT = '__ims_env'
+
+// cached tokens are dropped this long before they actually expire, so callers never get a token about to expire
+const DEFAULT_EXPIRY_MARGIN = 5 * 60 * 1000 // 5 minutes in milliseconds
+// used when the IMS response has no usable expires_in
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000 // 5 minutes in milliseconds
+// after a failed background refresh, cache hits wait this long before refreshing again, so that IMS is not called on each hit
+const DEFAULT_REFRESH_COOLDOWN = 30 * 1000 // 30 seconds in milliseconds
+// token validation results are only cached briefly, so that revoked tokens are detected soon
+const DEFAULT_VALIDATION_CACHE_TTL = 60 * 1000 // 1 minute in milliseconds
+// params holding any of these are meant as credentials, in camelCase or snake_case
+const CREDENTIAL_PARAMS = ['clientId', 'clientSecret', 'orgId', 'privateKey', 'technicalAccountId', 'metaScopes']
+  .flatMap(key => [key, key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)])
+
+/**
+ * Generates a cache key for token storage
+ *
+ * @private
+ * @param {object} credentials - The credentials object
+ * @param {string} credentials.clientId - The client ID
+ * @param {string} credentials.orgId - The organization ID
+ * @param {string} credentials.env - The env
+ * @param {string[]} credentials.scopes - Array of scopes
+ * @param {string} [credentials.clientSecret] - The client secret
+ * @param {string} [credentials.privateKey] - The private key, for clients authenticating with a client_assertion
+ * @param {string} [credentials.technicalAccountId] - The technical account ID of legacy JWT credentials
+ * @param {string[]} [credentials.metaScopes] - The metascopes of legacy JWT credentials
+ * @returns {string} The cache key
+ */
+function getCacheKey ({ clientId, orgId, env, scopes, clientSecret, privateKey, technicalAccountId, metaScopes }) {
+  const scopeKey = scopes.length > 0 ? scopes.sort().join(',') : 'none'
+  // clients authenticating with a private key have no client secret
+  const secretKey = clientSecret || privateKey
+  // legacy JWT credentials also get tokens for their technical account and metascopes
+  const jwtKey = technicalAccountId ? `:${technicalAccountId}:${[...metaScopes].sort().join(',')}` : ''
+  return crypto.createHash('sha1').update(`${clientId}:${orgId}:${scopeKey}:${secretKey}:${env}${jwtKey}`).digest('hex')
+}
+
+/**
+ * Tells whether the action runs in an App Builder development (stage) namespace
+ *
+ * @private
+ * @returns {boolean} true if __OW_NAMESPACE starts with 'development-'
+ */
+function ioRuntimeStageNamespace () {
+  return process.env.__OW_NAMESPACE && process.env.__OW_NAMESPACE.startsWith('development-')
+}
+
+/**
+ * Tells whether an error means IMS is unavailable, as opposed to a problem with the request itself
+ *
+ * @private
+ * @param {Error} error - The error thrown while getting a token
+ * @returns {boolean} true for retryable errors: network failures, timeouts, 5xx responses, including a gateway error page, and an open circuit, but not rate limiting
+ */
+function isUnavailableError (error) {
+  return error.retryable === true && error.code !== 'IMS_RATE_LIMITED'
+}
+
+/**
+ * Tells whether the call params are meant as credentials, as opposed to action params holding other inputs
+ *
+ * @private
+ * @param {object|string} params - The call params
+ * @returns {boolean} true for credentials strings, and params holding any credential field, e.g. clientId or client_secret
+ */
+function holdsCredentials (params) {
+  if (typeof params === 'string') {
+    return true
+  }
+  return Boolean(params) && typeof params === 'object' && CREDENTIAL_PARAMS.some(key => params[key] !== undefined)
+}
+
+/**
+ * Gets the details of a token operation given to event listeners, never the secrets or the token itself
+ *
+ * @private
+ * @param {object} credAndEnv - The validated credentials and env
+ * @returns {{ clientId: string, orgId: string, scopes: string[], imsEnv: string }} The event details
+ */
+function getEventDetails ({ clientId, orgId, scopes, env }) {
+  return { clientId, orgId, scopes, imsEnv: env }
+}
+
+/**
+ * Creates an auth client, with its own token cache and configuration.
+ *
+ * The client is an EventEmitter, for metrics and alerting. Payloads hold the clientId, orgId, scopes and imsEnv
+ * of the operation, never secrets or tokens:
+ * - 'cacheHit' ({ ..., source, expiresAt }): a cached token was returned, source is 'memory' or 'store'
+ * - 'cacheMiss' ({ ... }): no cached token, one is requested from IMS
+ * - 'tokenFetched' ({ ..., duration, expiresAt, background }): IMS returned a token, duration in ms
+ * - 'tokenFetchFailed' ({ ..., duration, error, background }): the IMS token request failed
+ * - 'cacheInvalidated' ({ reason, ... }): reason is 'invalidateCache' when the caches were cleared, or 'revoke' when a revoked token was purged
+ *
+ * @param {object} [options] - Client options
+ * @param {string} [options.env] - The default IMS environment ('prod', 'stage', or a registered environment) for this client, used when a call does not set one
+ * @param {number} [options.expiryMargin=300000] - Tokens expiring within this many ms are never returned from the cache
+ * @param {number} [options.defaultTtl=300000] - Cache TTL in ms for token responses without an expires_in
+ * @param {number} [options.maxTtl=Infinity] - Upper bound in ms for how long a token stays cached
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of tokens held in the cache
+ * @param {string} [options.imsBaseUrl] - IMS base URL for all environments, e.g. a local IMS stand-in
+ * @param {object} [options.imsUrls] - IMS base URL overrides, e.g. { prod: 'https://...', stage: 'https://...' }, other keys add client specific environments
+ * @param {Function} [options.fetch] - The fetch implementation to use, defaults to the global fetch
+ * @param {object} [options.dispatcher] - An undici dispatcher passed to fetch, e.g. an undici ProxyAgent or MockAgent
+ * @param {string|boolean} [options.proxy] - The proxy URL, defaults to the HTTPS_PROXY or HTTP_PROXY environment variable (NO_PROXY is honored), false disables proxying
+ * @param {string|Buffer|Array<string|Buffer>} [options.ca] - Extra PEM CA certificates, trusted on top of the Node.js root certificates
+ * @param {number} [options.keepAliveTimeout] - How long in ms idle connections are kept open
+ * @param {object} [options.retry] - Retry policy for IMS calls: { maxAttempts, initialDelay, maxDelay }, see getAccessTokenByClientCredentials
+ * @param {number} [options.timeout] - Default timeout in ms for token calls, fails with IMS_TIMEOUT
+ * @param {number} [options.refreshAhead] - Fraction (between 0 and 1) of a token lifetime after which a cache hit also starts a background refresh, disabled by default
+ * @param {Function} [options.onRefreshError] - Called with (error, { clientId, orgId, scopes, imsEnv }) when a background refresh fails
+ * @param {number} [options.refreshCooldown=30000] - How long in ms cache hits wait before a new background refresh after a failed one
+ * @param {boolean} [options.staleIfError=false] - When IMS is unavailable, return the last token obtained for the same credentials if it has not actually expired yet, flagged with stale: true
+ * @param {object} [options.circuitBreaker] - Stop calling IMS for a cool-down period after repeated failures: { failureThreshold = 5, cooldown = 30000 }, disabled by default
+ * @param {number} [options.validationCacheTtl=60000] - How long in ms validateAccessToken results are cached, 0 disables the cache
+ * @param {object} [options.store] - A persistent TokenStore shared across processes, see createFileStore and createStateStore
+ * @param {boolean} [options.memoryCache=true] - Set to false to only use the store and skip the in-memory cache
+ * @param {Array<object>} [options.credentialProviders] - The CredentialProvider chain resolving the credentials of a call, defaults to the params, the include-ims-credentials annotation, the environment variables, then the .env file; see createParamsProvider, createAnnotationProvider, createEnvProvider and createFileProvider
+ * @returns {{ generateAccessToken: Function, validateAccessToken: Function, revokeAccessToken: Function, resolveCredentials: Function, createAuthorizationRequest: Function, exchangeAuthorizationCode: Function, refreshAccessToken: Function, createUserSession: Function, invalidateCache: Function, on: Function, off: Function }} The auth client, an EventEmitter
+ */
+function createAuthClient (options = {}) {
+  const {
+    env: defaultEnv,
+    expiryMargin: defaultExpiryMargin = DEFAULT_EXPIRY_MARGIN,
+    defaultTtl = DEFAULT_CACHE_TTL,
+    maxTtl = Infinity,
+    maxEntries = Infinity,
+    imsBaseUrl,
+    imsUrls,
+    fetch,
+    dispatcher,
+    proxy,
+    ca,
+    keepAliveTimeout,
+    retry,
+    timeout: defaultTimeout,
+    refreshAhead,
+    onRefreshError = () => {},
+    refreshCooldown = DEFAULT_REFRESH_COOLDOWN,
+    staleIfError = false,
+    circuitBreaker,
+    validationCacheTtl = DEFAULT_VALIDATION_CACHE_TTL,
+    store,
+    memoryCache = true,
+    credentialProviders = createDefaultProviders()
+  } = options
+
+  // options of all IMS calls
+  const transport = { fetch, dispatcher, proxy, ca, keepAliveTimeout, imsBaseUrl, imsUrls, retry }
+
+  const tokenCache = memoryCache ? new TTLCache({ ttl: defaultTtl, max: maxEntries }) : null
+  // pending IMS requests by cache key, so that concurrent callers share a single request
+  const inFlightRequests = new Map()
+  // when background refreshes may start again after a failure, by cache key
+  const refreshCooldowns = new Map()
+  // last token obtained for each cache key, kept until it actually expires, for staleIfError
+  const lastGoodTokens = staleIfError ? new TTLCache({ max: maxEntries, ttl: defaultTtl }) : null
+  // validateAccessToken results
+  const validationCache = validationCacheTtl > 0 ? new TTLCache({ max: maxEntries, ttl: validationCacheTtl }) : null
+  // one circuit per IMS environment
+  const circuit = circuitBreaker ? createCircuitBreaker(circuitBreaker) : null
+  const client = new EventEmitter()
+
+  /**
+   * Emits a lifecycle event
+   *
+   * @private
+   * @param {string} event - The event name
+   * @param {object} payload - The event payload
+   */
+  function emitEvent (event, payload) {
+    try {
+      client.emit(event, payload)
+    } catch (e) {
+      // a failing listener must not fail the token operation
+    }
+  }
+
+  /**
+   * Computes how long a token can stay in the cache
+   *
+   * @private
+   * @param {object} token - The token response
+   * @param {number} expiryMargin - Safety margin in ms before the token expiry
+   * @returns {number} The cache TTL in ms, 0 or less if the token should not be cached
+   */
+  function getCacheTtl (token, expiryMargin) {
+    if (!Number.isFinite(token.expires_at)) {
+      return Math.min(defaultTtl, maxTtl)
+    }
+    return Math.floor(Math.min(token.expires_at - Date.now() - expiryMargin, maxTtl))
+  }
+
+  /**
+   * Looks up a token in the in-memory cache, then in the store
+   *
+   * @private
+   * @param {string} cacheKey - The cache key
+   * @param {number} expiryMargin - Safety margin in ms before the token expiry
+   * @returns {Promise<{ token: object, source: string }|undefined>} The cached token, if any that does not expire within the margin, and where it was found
+   */
+  async function getCachedToken (cacheKey, expiryMargin) {
+    const cachedToken = tokenCache?.get(cacheKey)
+    if (cachedToken && getCacheTtl(cachedToken, expiryMargin) > 0) {
+      return { token: cachedToken, source: 'memory' }
+    }
+    if (!store) {
+      return undefined
+    }
+
+    let storedToken
+    try {
+      storedToken = await store.get(cacheKey)
+    } catch (e) {
+      // the store is only an optimization, an unavailable store must not fail token generation
+      return undefined
+    }
+    const ttl = storedToken && getCacheTtl(storedToken, expiryMargin)
+    if (!(ttl > 0)) {
+      return undefined
+    }
+    tokenCache?.set(cacheKey, storedToken, { ttl })
+    return { token: storedToken, source: 'store' }
+  }
+
+  /**
+   * Saves a token in the in-memory cache and in the store
+   *
+   * @private
+   * @param {string} cacheKey - The cache key
+   * @param {object} token - The token response
+   * @param {number} ttl - Time to live in ms
+   * @returns {Promise<void>}
+   */
+  async function setCachedToken (cacheKey, token, ttl) {
+    tokenCache?.set(cacheKey, token, { ttl })
+    if (store) {
+      try {
+        await store.set(cacheKey, token, ttl)
+      } catch (e) {
+        // ignored, the token is still returned to the caller
+      }
+    }
+  }
+
+  /**
+   * Gets a token from IMS and caches it, sharing the request with concurrent callers for the same cache key
+   *
+   * @private
+   * @param {string} cacheKey - The cache key
+   * @param {object} credAndEnv - The validated credentials and env
+   * @param {number} expiryMargin - Safety margin in ms before the token expiry
+   * @param {boolean} [background=false] - Whether the request is a background refresh, for events
+   * @returns {{ promise: Promise<object>, controller: AbortController, waiters: number }} The in-flight request
+   */
+  function getInFlightRequest (cacheKey, credAndEnv, expiryMargin, background = false) {
+    const pending = inFlightRequests.get(cacheKey)
+    if (pending) {
+      return pending
+    }
+
+    const controller = new AbortController()
+    const request = { controller, waiters: 0 }
+    request.promise = (async () => {
+      const startedAt = Date.now()
+      let token
+      try {
+        token = await requestToken(credAndEnv, controller.signal)
+      } catch (error) {
+        emitEvent('tokenFetchFailed', { ...getEventDetails(credAndEnv), duration: Date.now() - startedAt, error, background })
+        throw error
+      }
+      emitEvent('tokenFetched', { ...getEventDetails(credAndEnv), duration: Date.now() - startedAt, expiresAt: token.expires_at, background })
+
+      if (lastGoodTokens && Number.isFinite(token.expires_at) && token.expires_at > Date.now()) {
+        lastGoodTokens.set(cacheKey, token, { ttl: Math.floor(token.expires_at - Date.now()) })
+      }
+
+      // Cache the token until it gets within the expiry margin, unless all callers gave up in the meantime
+      const ttl = getCacheTtl(token, expiryMargin)
+      if (ttl > 0 && !controller.signal.aborted) {
+        await setCachedToken(cacheKey, token, ttl)
+      }
+      return token
+    })().finally(() => {
+      // failed requests are not cached, the next caller tries again
+      removeInFlightRequest(cacheKey, request)
+    })
+    // the request may have no callers left by the time it settles
+    request.promise.catch(() => {})
+
+    inFlightRequests.set(cacheKey, request)
+    return request
+  }
+
+  /**
+   * Calls IMS, unless the circuit for the environment is open
+   *
+   * @private
+   * @param {object} credAndEnv - The validated credentials and env
+   * @param {AbortSignal} signal - Signal aborting the request
+   * @returns {Promise<object>} The token response
+   */
+  async function requestToken (credAndEnv, signal) {
+    const { clientId, orgId, scopes, env } = credAndEnv
+    const remainingCooldown = circuit?.getRemainingCooldown(env)
+    if (remainingCooldown > 0) {
+      throw new codes.IMS_CIRCUIT_OPEN({
+        messageValues: remainingCooldown,
+        sdkDetails: { clientId, orgId, scopes, imsEnv: env, remainingCooldown }
+      })
+    }
+
+    try {
+      const getToken = credAndEnv.technicalAccountId ? getAccessTokenByJwt : getAccessTokenByClientCredentials
+      const token = await getToken(credAndEnv, { ...transport, signal })
+      circuit?.recordSuccess(env)
+      return token
+    } catch (error) {
+      // cancelled requests say nothing about IMS availability, but requests all callers timed out on do
+      if (isUnavailableError(error) && (!signal.aborted || signal.reason?.name === 'TimeoutError')) {
+        circuit?.recordFailure(env)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Removes an in-flight request, if it was not already replaced by a newer one
+   *
+   * @private
+   * @param {string} cacheKey - The cache key
+   * @param {object} request - The in-flight request
+   */
+  function removeInFlightRequest (cacheKey, request) {
+    if (inFlightRequests.get(cacheKey) === request) {
+      inFlightRequests.delete(cacheKey)
+    }
+  }
+
+  /**
+   * Gets a token from IMS, stops waiting when the caller signal is aborted.
+   * The IMS request itself is only aborted once all its callers gave up.
+   *
+   * @private
+   * @param {string} cacheKey - The cache key
+   * @param {object} credAndEnv - The validated credentials and env
+   * @param {number} expiryMargin - Safety margin in ms before the token expiry
+   * @param {AbortSignal} [signal] - The caller signal, combining its own signal and timeout
+   * @param {number} [timeout] - The caller timeout, for error details
+   * @returns {Promise<object>} The token response
+   */
+  function fetchToken (cacheKey, credAndEnv, expiryMargin, signal, timeout) {
+    const request = getInFlightRequest(cacheKey, credAndEnv, expiryMargin)
+    request.waiters++
+    if (!signal) {
+      return request.promise
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        request.waiters--
+        if (request.waiters === 0) {
+          removeInFlightRequest(cacheKey, request)
+          // with the caller reason, so that a timeout is told apart from a cancellation
+          request.controller.abort(signal.reason)
+        }
+        const { clientId, orgId, scopes, env } = credAndEnv
+        reject(getAbortError(signal, { clientId, orgId, scopes, imsEnv: env, timeout }))
+      }
+      if (signal.aborted) {
+        onAbort()
+        return
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      request.promise
+        .finally(() => signal.removeEventListener('abort', onAbort))
+        .then(resolve, reject)
+    })
+  }
+
+  /**
+   * Tells whether a cached token passed the refreshAhead fraction of its lifetime, and no refresh failed recently
+   *
+   * @private
+   * @param {string} cacheKey - The cache key
+   * @param {object} token - The cached token response
+   * @returns {boolean} true if the token should be refreshed in the background
+   */
+  function shouldRefresh (cacheKey, token) {
+    if (!refreshAhead || !Number.isFinite(token.expires_at)) {
+      return false
+    }
+    if (refreshCooldowns.get(cacheKey) > Date.now()) {
+      return false
+    }
+    const lifetime = token.expires_in * 1000
+    const issuedAt = token.expires_at - lifetime
+    return Date.now() - issuedAt >= lifetime * refreshAhead
+  }
+
+  /**
+   * Refreshes a token in the background, the new token replaces the cached one when it arrives.
+   * Failures are reported to onRefreshError, never thrown, and hold off further refreshes of the token for the refreshCooldown.
+   *
+   * @private
+   * @param {string} cacheKey - The cache key
+   * @param {object} credAndEnv - The validated credentials and env
+   * @param {number} expiryMargin - Safety margin in ms before the token expiry
+   */
+  function refreshInBackground (cacheKey, credAndEnv, expiryMargin) {
+    const request = getInFlightRequest(cacheKey, credAndEnv, expiryMargin, true)
+    // cache hits during the refresh share it, its outcome is handled once
+    if (request.backgroundRefresh) {
+      return
+    }
+    request.backgroundRefresh = true
+    // the background refresh never gives up, callers joining it must not abort it
+    request.waiters++
+    request.promise.then(() => {
+      refreshCooldowns.delete(cacheKey)
+    }, (error) => {
+      refreshCooldowns.set(cacheKey, Date.now() + refreshCooldown)
+      const { clientId, orgId, scopes, env } = credAndEnv
+      try {
+        onRefreshError(error, { clientId, orgId, scopes, imsEnv: env })
+      } catch (e) {
+        // a failing hook must not turn into an unhandled rejection
+      }
+    })
+  }
+
+  /**
+   * Logs where the credentials of a call come from
+   *
+   * @private
+   * @param {string} provider - The name of the provider that supplied the credentials
+   * @param {object} credentials - The validated credentials
+   * @param {string} [credentialName] - The name of the credentials
+   */
+  function logCredentials (provider, { clientId, orgId, scopes, privateKey, technicalAccountId }, credentialName) {
+    const authMethod = technicalAccountId ? 'jwt' : privateKey ? 'privateKey' : 'clientSecret'
+    logger.debug('credentials resolved', { provider, credentialName, clientId, orgId, scopes, authMethod })
+  }
+
+  /**
+   * Gets the error thrown when no provider supplied credentials
+   *
+   * @private
+   * @param {object|string} params - The call params
+   * @param {string} [credentialName] - The name of the credentials
+   * @returns {Error} UNKNOWN_CREDENTIAL_NAME for named credentials, else the error for the params, e.g. MISSING_PARAMETERS
+   */
+  function getNoCredentialsError (params, credentialName) {
+    if (credentialName) {
+      return selectNamedCredentials(undefined, credentialName).error
+    }
+    // params holding valid credentials are not an error when the chain has no params provider
+    return getAndValidateCredentials(params).error || getAndValidateCredentials({}).error
+  }
+
+  /**
+   * Resolves the credentials of a call, from the first provider of the chain that supplies valid credentials.
+   * By default: the params, params.__ims_oauth_s2s set by the include-ims-credentials annotation, the IMS_CLIENT_ID,
+   * IMS_CLIENT_SECRET, IMS_ORG_ID and IMS_SCOPES environment variables, then the .env file.
+   *
+   * @param {object|string} params - The call params, or credentials as a JSON or base64 encoded JSON string
+   * @param {object} [callOptions] - Options for this call
+   * @param {string} [callOptions.credentialName] - The name of the credentials among named credentials, e.g. of params.__ims_oauth_s2s; the params themselves are then ignored
+   * @returns {Promise<{ credentials: object, provider: string }>} The validated credentials, and the name of the provider that supplied them
+   * @throws {Error} The error for params holding invalid credentials, e.g. MISSING_PARAMETERS, else the error of the first other provider that supplied invalid credentials, else the error for the params
+   */
+  async function resolveCredentials (params, callOptions = {}) {
+    const { credentialName } = callOptions
+    const errors = []
+    for (const provider of credentialProviders) {
+      const value = await provider.getCredentials(params, { credentialName }).catch((error) => {
+        logger.debug('credential provider failed', { provider: provider.name, credentialName, error: error.code })
+        throw error
+      })
+      if (value !== undefined) {
+        const { credentials, error } = getAndValidateCredentials(value)
+        if (!error) {
+          logCredentials(provider.name, credentials, credentialName)
+          return { credentials, provider: provider.name }
+        }
+        errors.push({ provider: provider.name, error })
+        // credentials passed to the call are never replaced by the ones of the environment
+        if (provider.name === 'params' && holdsCredentials(value)) {
+          break
+        }
+      }
+    }
+    logger.debug('no valid credentials', { credentialName, errors: errors.map(({ provider, error }) => ({ provider, error: error.code })) })
+    // action params usually hold other inputs, the error of a source meant to hold credentials is the precise one
+    const { error } = errors.find(({ provider }) => provider !== 'params') || errors[0] || { error: getNoCredentialsError(params, credentialName) }
+    throw error
+  }
+
+  /**
+   * Resolves the IMS environment of a call
+   *
+   * @private
+   * @param {string} [imsEnv] - The environment set by the call
+   * @returns {string} The call env, else the client env, else stage if __OW_NAMESPACE starts with 'development-', else prod
+   */
+  function resolveEnv (imsEnv) {
+    return imsEnv || defaultEnv || (ioRuntimeStageNamespace() ? 'stage' : 'prod')
+  }
+
+  /**
+   * Invalidates the in-memory token and validation caches, entries in the store are left untouched
+   *
+   * @returns {void}
+   */
+  function invalidateCache () {
+    tokenCache?.clear()
+    refreshCooldowns.clear()
+    lastGoodTokens?.clear()
+    validationCache?.clear()
+    emitEvent('cacheInvalidated', { reason: 'invalidateCache' })
+  }
+
+  /**
+   * Generates an access token for authentication (with caching)
+   *
+   * @param {object|string} params - Parameters for token generation, or a JSON or base64 encoded JSON string of them
+   * @param {string} params.clientId - The client ID
+   * @param {string} [params.clientSecret] - The client secret, required unless privateKey is set
+   * @param {string} params.orgId - The organization ID
+   * @param {string[]} [params.scopes=[]] - Array of scopes to request
+   * @param {string} [params.technicalAccountId] - Deprecated, set with privateKey and metaScopes to use legacy JWT service account credentials
+   * @param {string} [params.privateKey] - A PEM encoded RSA private key, used to sign a client_assertion (private_key_jwt) instead of sending the client secret, or the private key of JWT credentials
+   * @param {string} [params.keyId] - The ID of the private key, sent as the kid header of the client_assertion
+   * @param {string} [params.certificate] - The PEM encoded certificate of the private key, its SHA-256 thumbprint is sent as the x5t#S256 header of the client_assertion
+   * @param {string[]} [params.metaScopes] - Deprecated, the metascopes of JWT credentials, e.g. 'ent_dataservices_sdk'
+   * @param {string} [imsEnv] - The IMS environment ('prod', 'stage', or a registered environment); when omitted or falsy, uses the client env, else stage if __OW_NAMESPACE starts with 'development-', else prod
+   * @param {object} [callOptions] - Options for this call
+   * @param {number} [callOptions.expiryMargin] - Overrides the client expiryMargin
+   * @param {number} [callOptions.timeout] - Timeout in ms, overrides the client timeout, fails with IMS_TIMEOUT
+   * @param {AbortSignal} [callOptions.signal] - Signal to cancel the call, fails with ABORTED
+   * @param {string} [callOptions.credentialName] - The name of the credentials among the named credentials of params.__ims_oauth_s2s, fails with UNKNOWN_CREDENTIAL_NAME if there are none by that name; defaults to 'default'
+   * @returns {Promise<object>} Promise that resolves with the token response, including an expires_at timestamp (ms since epoch), and stale: true if it was served by staleIfError
+   * @throws {Error} If there's an error getting the access token
+   */
+  async function generateAccessToken (params, imsEnv, callOptions = {}) {
+    return withSpan('generateAccessToken', {}, async (span) => {
+      const { expiryMargin = defaultExpiryMargin, timeout = defaultTimeout, signal, credentialName } = callOptions
+
+      // integrate with the runtime environment and include-ims-credentials annotation
+      imsEnv = resolveEnv(imsEnv || params?.[IMS_ENV_INPUT])
+      span.setAttribute('aio.auth.ims_env', imsEnv)
+      logger.debug('generateAccessToken', { imsEnv })
+
+      const { credentials, provider } = await resolveCredentials(params, { credentialName })
+      const credAndEnv = { ...credentials, env: imsEnv }
+      span.setAttributes({ 'aio.auth.client_id': credAndEnv.clientId, 'aio.auth.credential_provider': provider })
+
+      // Check cache first
+      const cacheKey = getCacheKey(credAndEnv)
+      const cached = await getCachedToken(cacheKey, expiryMargin)
+      if (cached) {
+        span.setAttributes({ 'aio.auth.cache': 'hit', 'aio.auth.cache_source': cached.source })
+        logger.debug('token cache hit', { clientId: credAndEnv.clientId, imsEnv, source: cached.source, expiresAt: cached.token.expires_at })
+        emitEvent('cacheHit', { ...getEventDetails(credAndEnv), source: cached.source, expiresAt: cached.token.expires_at })
+        if (shouldRefresh(cacheKey, cached.token)) {
+          refreshInBackground(cacheKey, credAndEnv, expiryMargin)
+        }
+        return cached.token
+      }
+      span.setAttribute('aio.auth.cache', 'miss')
+      logger.debug('token cache miss', { clientId: credAndEnv.clientId, imsEnv })
+      emitEvent('cacheMiss', getEventDetails(credAndEnv))
+
+      // Get token from IMS
+      try {
+        return await fetchToken(cacheKey, credAndEnv, expiryMargin, getCallSignal({ signal, timeout }), timeout)
+      } catch (error) {
+        const staleToken = isUnavailableError(error) && lastGoodTokens?.get(cacheKey)
+        if (staleToken && staleToken.expires_at > Date.now()) {
+          span.setAttribute('aio.auth.stale', true)
+          logger.debug('serving a stale token, IMS is unavailable', { clientId: credAndEnv.clientId, imsEnv, error: error.code, expiresAt: staleToken.expires_at })
+          return { ...staleToken, stale: true }
+        }
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Validates an access token with IMS, results are briefly cached
+   *
+   * @param {string} token - The access token to validate, e.g. from a caller Authorization header
+   * @param {object} params - Validation parameters
+   * @param {string} params.clientId - The client ID the token must have been issued to
+   * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses the client env, else stage if __OW_NAMESPACE starts with 'development-', else prod
+   * @param {object} [callOptions] - Options for this call
+   * @param {number} [callOptions.timeout] - Timeout in ms, overrides the client timeout, fails with IMS_TIMEOUT
+   * @param {AbortSignal} [callOptions.signal] - Signal to cancel the call, fails with ABORTED
+   * @returns {Promise<{ valid: boolean, reason: string, claims: object }>} The validation result, claims is null if the token could not be decoded
+   * @throws {Error} MISSING_PARAMETERS, or IMS_VALIDATION_ERROR if IMS could not validate the token
+   */
+  async function validateAccessToken (token, { clientId, env } = {}, callOptions = {}) {
+    const { timeout = defaultTimeout, signal } = callOptions
+
+    const missingParams = []
+    if (!token) {
+      missingParams.push('token')
+    }
+    if (!clientId) {
+      missingParams.push('clientId')
+    }
+    if (missingParams.length > 0) {
+      throw new codes.MISSING_PARAMETERS({
+        messageValues: missingParams.join(', '),
+        sdkDetails: { clientId, env }
+      })
+    }
+
+    env = resolveEnv(env)
+    const cacheKey = crypto.createHash('sha1').update(`${token}:${clientId}:${env}`).digest('hex')
+    const cachedResult = validationCache?.get(cacheKey)
+    if (cachedResult) {
+      return cachedResult
+    }
+
+    const data = await validateToken({ token, clientId, env }, { ...transport, timeout, signal })
+
+    let tokenInfo = null
+    try {
+      tokenInfo = getTokenInfo(token)
+    } catch (e) {
+      // not a JWT, IMS says why in the reason
+    }
+    const result = {
+      valid: data.valid === true,
+      reason: data.reason,
+      claims: data.token || tokenInfo?.claims || null
+    }
+
+    // never cache a valid result past the token expiry
+    const ttl = tokenInfo?.expiresAt ? Math.min(validationCacheTtl, tokenInfo.expiresAt.getTime() - Date.now()) : validationCacheTtl
+    if (ttl > 0) {
+      validationCache?.set(cacheKey, result, { ttl: Math.floor(ttl) })
+    }
+    return result
+  }
+
+  /**
+   * Removes a token from the in-memory caches and from the store
+   *
+   * @private
+   * @param {string} token - The access token
+   * @param {object} credAndEnv - The credentials and env the token was obtained with
+   * @returns {Promise<void>}
+   */
+  async function purgeToken (token, credAndEnv) {
+    // the token may be cached under other credentials, e.g. with different scopes
+    for (const cache of [tokenCache, lastGoodTokens]) {
+      const keys = cache ? [...cache.entries()].filter(([, value]) => value.access_token === token).map(([key]) => key) : []
+      keys.forEach(key => cache.delete(key))
+    }
+    validationCache?.delete(crypto.createHash('sha1').update(`${token}:${credAndEnv.clientId}:${credAndEnv.env}`).digest('hex'))
+
+    if (store) {
+      // the store cannot be listed, only the entry for these credentials is checked
+      const cacheKey = getCacheKey(credAndEnv)
+      try {
+        const storedToken = await store.get(cacheKey)
+        if (storedToken?.access_token === token) {
+          await store.delete(cacheKey)
+        }
+      } catch (e) {
+        // ignored, the token is revoked by IMS anyway
+      }
+    }
+    emitEvent('cacheInvalidated', { reason: 'revoke', ...getEventDetails(credAndEnv) })
+  }
+
+  /**
+   * Revokes an access token with IMS, and removes it from the cache.
+   * The cache is purged first, so that the token is never served again even if the IMS call fails.
+   *
+   * @param {string} token - The access token to revoke
+   * @param {object|string} params - The client credentials the token was obtained with (an object, or a JSON or base64 encoded JSON string), or params holding them in __ims_oauth_s2s
+   * @param {string} params.clientId - The client ID
+   * @param {string} [params.clientSecret] - The client secret, required unless privateKey is set
+   * @param {string} params.orgId - The organization ID
+   * @param {string[]} [params.scopes=[]] - Array of scopes
+   * @param {string} [imsEnv] - The IMS environment ('prod', 'stage', or a registered environment); when omitted or falsy, uses the client env, else stage if __OW_NAMESPACE starts with 'development-', else prod
+   * @param {object} [callOptions] - Options for this call
+   * @param {number} [callOptions.timeout] - Timeout in ms, overrides the client timeout, fails with IMS_TIMEOUT
+   * @param {AbortSignal} [callOptions.signal] - Signal to cancel the call, fails with ABORTED
+   * @param {string} [callOptions.credentialName] - The name of the credentials among the named credentials of params.__ims_oauth_s2s; defaults to 'default'
+   * @returns {Promise<void>} Promise that resolves once IMS revoked the token
+   * @throws {Error} MISSING_PARAMETERS, or IMS_REVOKE_ERROR if IMS could not revoke the token
+   */
+  async function revokeAccessToken (token, params, imsEnv, callOptions = {}) {
+    const { timeout = defaultTimeout, signal, credentialName } = callOptions
+
+    if (!token) {
+      throw new codes.MISSING_PARAMETERS({ messageValues: 'token' })
+    }
+    imsEnv = resolveEnv(imsEnv || params?.[IMS_ENV_INPUT])
+    const { credentials } = await resolveCredentials(params, { credentialName })
+    const credAndEnv = { ...credentials, env: imsEnv }
+
+    await purgeToken(token, credAndEnv)
+    await revokeToken({ ...credAndEnv, token }, { ...transport, timeout, signal })
+  }
+
+  /**
+   * Starts the authorization code flow with PKCE, for tools acting on behalf of a user
+   *
+   * @param {object} params - Authorization parameters
+   * @param {string} params.clientId - The client ID
+   * @param {string} params.redirectUri - Where IMS redirects the user with the code
+   * @param {string[]} [params.scopes=[]] - Array of scopes to request
+   * @param {string} [params.state] - The state, a random one is generated by default
+   * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses the client env, else stage if __OW_NAMESPACE starts with 'development-', else prod
+   * @returns {{ url: string, state: string, codeVerifier: string, codeChallenge: string }} The URL to redirect the user to, keep the state and codeVerifier for exchangeAuthorizationCode
+   * @throws {Error} MISSING_PARAMETERS or BAD_SCOPES_FORMAT
+   */
+  function createAuthorizationRequest (params = {}) {
+    return authorization.createAuthorizationRequest({ ...params, env: resolveEnv(params.env) }, transport)
+  }
+
+  /**
+   * Verifies the state of the redirect, then exchanges the authorization code for user tokens.
+   * User tokens are not cached.
+   *
+   * @param {object} params - Parameters for the code exchange
+   * @param {string} params.clientId - The client ID
+   * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+   * @param {string} params.code - The code query parameter of the redirect
+   * @param {string} params.state - The state query parameter of the redirect
+   * @param {string} params.expectedState - The state of the authorization request
+   * @param {string} params.codeVerifier - The code verifier of the authorization request
+   * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment), must be the one of the authorization request
+   * @param {object} [callOptions] - Options for this call
+   * @param {number} [callOptions.timeout] - Timeout in ms, overrides the client timeout, fails with IMS_TIMEOUT
+   * @param {AbortSignal} [callOptions.signal] - Signal to cancel the call, fails with ABORTED
+   * @returns {Promise<object>} Promise that resolves with the token response, e.g. access_token and refresh_token, including an expires_at timestamp (ms since epoch)
+   * @throws {Error} STATE_MISMATCH, MISSING_PARAMETERS, or IMS_TOKEN_ERROR if IMS rejects the code
+   */
+  async function exchangeAuthorizationCode ({ clientId, clientSecret, code, state, expectedState, codeVerifier, env } = {}, callOptions = {}) {
+    const { timeout = defaultTimeout, signal } = callOptions
+
+    authorization.verifyState(state, expectedState)
+
+    const missingParams = []
+    if (!clientId) {
+      missingParams.push('clientId')
+    }
+    if (!code) {
+      missingParams.push('code')
+    }
+    if (!codeVerifier) {
+      missingParams.push('codeVerifier')
+    }
+    if (missingParams.length > 0) {
+      throw new codes.MISSING_PARAMETERS({
+        messageValues: missingParams.join(', '),
+        sdkDetails: { clientId }
+      })
+    }
+
+    return getAccessTokenByAuthorizationCode(
+      { clientId, clientSecret, code, codeVerifier, env: resolveEnv(env) },
+      { ...transport, timeout, signal }
+    )
+  }
+
+  /**
+   * Gets new user tokens using a refresh token. User tokens are not cached.
+   *
+   * @param {object} params - Parameters for the refresh
+   * @param {string} params.clientId - The client ID
+   * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+   * @param {string} params.refreshToken - The refresh token
+   * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses the client env, else stage if __OW_NAMESPACE starts with 'development-', else prod
+   * @param {object} [callOptions] - Options for this call
+   * @param {number} [callOptions.timeout] - Timeout in ms, overrides the client timeout, fails with IMS_TIMEOUT
+   * @param {AbortSignal} [callOptions.signal] - Signal to cancel the call, fails with ABORTED
+   * @returns {Promise<object>} Promise that resolves with the token response, with a new refresh_token if IMS rotated it, including an expires_at timestamp (ms since epoch)
+   * @throws {Error} MISSING_PARAMETERS, or IMS_TOKEN_ERROR if IMS rejects the refresh token
+   */
+  async function refreshAccessToken ({ clientId, clientSecret, refreshToken, env } = {}, callOptions = {}) {
+    const { timeout = defaultTimeout, signal } = callOptions
+
+    const missingParams = []
+    if (!clientId) {
+      missingParams.push('clientId')
+    }
+    if (!refreshToken) {
+      missingParams.push('refreshToken')
+    }
+    if (missingParams.length > 0) {
+      throw new codes.MISSING_PARAMETERS({
+        messageValues: missingParams.join(', '),
+        sdkDetails: { clientId }
+      })
+    }
+
+    return getAccessTokenByRefreshToken(
+      { clientId, clientSecret, refreshToken, env: resolveEnv(env) },
+      { ...transport, timeout, signal }
+    )
+  }
+
+  /**
+   * Creates a user session, which keeps the current user tokens and refreshes them before they expire.
+   * The session emits 'refresh' with the new tokens, 'refreshTokenRotated' with { refreshToken } when IMS
+   * rotates the refresh token, and 'refreshError' when a scheduled refresh fails.
+   *
+   * @param {object} params - Session parameters
+   * @param {string} params.clientId - The client ID
+   * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+   * @param {object} params.tokens - The initial tokens, e.g. from exchangeAuthorizationCode, with an access_token and a refresh_token
+   * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses the client env, else stage if __OW_NAMESPACE starts with 'development-', else prod
+   * @param {number} [params.expiryMargin] - The access token is refreshed this many ms before it expires, defaults to the client expiryMargin
+   * @param {boolean} [params.autoRefresh=true] - Set to false to only refresh when getAccessToken is called
+   * @returns {object} The session, an EventEmitter with getAccessToken(), refresh(), getTokens() and stop()
+   * @throws {Error} MISSING_PARAMETERS if clientId, or the access_token or refresh_token of the tokens, are missing
+   */
+  function createUserSession ({ clientId, clientSecret, tokens, env, expiryMargin = defaultExpiryMargin, autoRefresh } = {}) {
+    if (!clientId) {
+      throw new codes.MISSING_PARAMETERS({ messageValues: 'clientId' })
+    }
+    env = resolveEnv(env)
+    return session.createUserSession(
+      { tokens, expiryMargin, autoRefresh },
+      (refreshToken) => refreshAccessToken({ clientId, clientSecret, refreshToken, env })
+    )
+  }
+
+  return Object.assign(client, {
+    generateAccessToken,
+    validateAccessToken,
+    revokeAccessToken,
+    resolveCredentials,
+    createAuthorizationRequest,
+    exchangeAuthorizationCode,
+    refreshAccessToken,
+    createUserSession,
+    invalidateCache
+  })
+}
+
+module.exports = {
+  createAuthClient
+}
@@ -0,0 +1,110 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { codes } = require('./errors.js')
+
+/**
+ * IMS Base URLs
+ */
+const IMS_BASE_URL_PROD = 'https://ims-na1.adobelogin.com'
+const IMS_BASE_URL_STAGE = 'https://ims-na1-stg1.adobelogin.com'
+
+// overrides the IMS base URL of all environments, e.g. to point at a local IMS stand-in in integration tests
+const IMS_BASE_URL_ENV_VAR = 'AIO_IMS_BASE_URL'
+
+// IMS base URLs by environment name
+const environments = new Map([
+  ['prod', IMS_BASE_URL_PROD],
+  ['stage', IMS_BASE_URL_STAGE]
+])
+
+/**
+ * Checks that a base URL is an http(s) URL, and removes its trailing slashes
+ *
+ * @private
+ * @param {string} baseUrl - The base URL
+ * @param {string} source - Where the URL comes from, for error details
+ * @returns {string} The base URL, without trailing slashes
+ * @throws {Error} BAD_IMS_URL if the URL is not an http(s) URL
+ */
+function normalizeBaseUrl (baseUrl, source) {
+  let url
+  try {
+    url = new URL(baseUrl)
+  } catch (e) {
+    // reported below
+  }
+  if (!url || !['https:', 'http:'].includes(url.protocol)) {
+    throw new codes.BAD_IMS_URL({
+      messageValues: String(baseUrl),
+      sdkDetails: { baseUrl, source }
+    })
+  }
+  return baseUrl.replace(/\/+$/, '')
+}
+
+/**
+ * Registers a named IMS environment, which can then be used everywhere an env is accepted.
+ * Registering 'prod' or 'stage' replaces their default base URL.
+ *
+ * @param {string} name - The environment name
+ * @param {string} baseUrl - The IMS base URL of the environment, e.g. 'https://ims-na1.adobelogin.com'
+ * @returns {void}
+ * @throws {Error} MISSING_PARAMETERS, or BAD_IMS_URL if the base URL is not an http(s) URL
+ */
+function registerImsEnvironment (name, baseUrl) {
+  if (!name || typeof name !== 'string') {
+    throw new codes.MISSING_PARAMETERS({
+      messageValues: 'name',
+      sdkDetails: { nameType: typeof name }
+    })
+  }
+  environments.set(name, normalizeBaseUrl(baseUrl, `environment ${name}`))
+}
+
+/**
+ * Gets the IMS base URL of an environment.
+ * In order of precedence: the imsBaseUrl option, the imsUrls option for the env, the AIO_IMS_BASE_URL
+ * environment variable, then the registered URL of the env.
+ *
+ * @private
+ * @param {string} [env='prod'] - The environment name
+ * @param {object} [options] - Base URL overrides
+ * @param {string} [options.imsBaseUrl] - Base URL for all environments
+ * @param {object} [options.imsUrls={}] - Base URLs keyed by environment, unregistered environments can be used too
+ * @returns {string} The IMS base URL
+ * @throws {Error} UNKNOWN_IMS_ENV if the environment is neither registered nor in imsUrls, or BAD_IMS_URL
+ */
+function getImsUrl (env = 'prod', { imsBaseUrl, imsUrls = {} } = {}) {
+  const knownEnvs = [...new Set([...environments.keys(), ...Object.keys(imsUrls)])]
+  if (!knownEnvs.includes(env)) {
+    throw new codes.UNKNOWN_IMS_ENV({
+      messageValues: [env, knownEnvs.join(', ')],
+      sdkDetails: { imsEnv: env, knownEnvs }
+    })
+  }
+
+  if (imsBaseUrl) {
+    return normalizeBaseUrl(imsBaseUrl, 'imsBaseUrl')
+  }
+  if (imsUrls[env]) {
+    return normalizeBaseUrl(imsUrls[env], `imsUrls.${env}`)
+  }
+  if (process.env[IMS_BASE_URL_ENV_VAR]) {
+    return normalizeBaseUrl(process.env[IMS_BASE_URL_ENV_VAR], IMS_BASE_URL_ENV_VAR)
+  }
+  return environments.get(env)
+}
+
+module.exports = {
+  registerImsEnvironment,
+  getImsUrl
+}
@@ -9,11 +9,46 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { AioCoreSDKErrorWrapper } = require('@adobe/aio-lib-core-errors')
+const { AioCoreSDKErrorWrapper, AioCoreSDKError } = require('@adobe/aio-lib-core-errors')
 const { ErrorWrapper, createUpdater } = AioCoreSDKErrorWrapper
 
 const codes = {}
 const messages = new Map()
+// retryable and httpStatus of each error code
+const properties = new Map()
+
+// rate limiting and transient server errors
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504]
+
+/**
+ * Tells whether an IMS response status is worth retrying
+ *
+ * @private
+ * @param {number} [statusCode] - The HTTP status
+ * @returns {boolean} true for rate limiting and transient server errors
+ */
+function isRetryableStatus (statusCode) {
+  return RETRYABLE_STATUS_CODES.includes(statusCode)
+}
+
+/**
+ * Base class of the SDK errors, adding whether the failed call is worth retrying, and the matching HTTP status
+ *
+ * @private
+ */
+class AuthSDKErrorBase extends AioCoreSDKError {
+  constructor (message, code, sdk, sdkDetails = {}) {
+    super(message, code, sdk, sdkDetails)
+    const { retryable, httpStatus } = properties.get(code)
+    // errors mapped from an IMS response get the actual status
+    this.httpStatus = sdkDetails.statusCode || httpStatus
+    this.retryable = retryable === undefined ? isRetryableStatus(sdkDetails.statusCode) : retryable
+  }
+
+  toJSON () {
+    return { ...super.toJSON(), retryable: this.retryable, httpStatus: this.httpStatus }
+  }
+}
 
 /**
  * Create an Updater for the Error wrapper
@@ -28,20 +63,60 @@ const Updater = createUpdater(
 /**
  * Provides a wrapper to easily create classes of a certain name, and values
  */
-const E = ErrorWrapper(
+const wrapError = ErrorWrapper(
   // The class name for your SDK Error. Your Error objects will be these objects
   'AuthSDKError',
   // The name of your SDK. This will be a property in your Error objects
   'AuthSDK',
   // the object returned from the CreateUpdater call above
-  Updater
+  Updater,
+  AuthSDKErrorBase
 )
 
+/**
+ * Creates an error class
+ *
+ * @private
+ * @param {string} code - The error code
+ * @param {string} message - The message format
+ * @param {object} props - The error properties
+ * @param {boolean} [props.retryable] - Whether the failed call is worth retrying, derived from the IMS response status when undefined
+ * @param {number} [props.httpStatus] - The HTTP status describing the error, replaced by the status of the IMS response if any
+ */
+function E (code, message, { retryable, httpStatus }) {
+  properties.set(code, { retryable, httpStatus })
+  wrapError(code, message)
+}
+
 // Error codes
-E('IMS_TOKEN_ERROR', 'Error calling IMS to get access token: %s')
-E('MISSING_PARAMETERS', 'Missing required parameters: %s. You may want to set the include-ims-credentials annotation.')
-E('BAD_CREDENTIALS_FORMAT', 'Credentials must be either an object or a stringified object')
-E('BAD_SCOPES_FORMAT', 'Scopes must be an array')
-E('GENERIC_ERROR', 'An unexpected error occurred: %s')
+// IMS errors, mapped from the standard OAuth error values
+E('IMS_INVALID_CLIENT', 'IMS rejected the client credentials: %s', { retryable: false, httpStatus: 401 })
+E('IMS_UNAUTHORIZED_CLIENT', 'The client is not allowed to use this grant type: %s', { retryable: false, httpStatus: 400 })
+E('IMS_INVALID_SCOPE', 'IMS rejected the requested scopes: %s', { retryable: false, httpStatus: 400 })
+E('IMS_INVALID_GRANT', 'IMS rejected the authorization code or refresh token: %s', { retryable: false, httpStatus: 400 })
+E('IMS_INVALID_REQUEST', 'IMS rejected the request: %s', { retryable: false, httpStatus: 400 })
+E('IMS_RATE_LIMITED', 'IMS rate limit exceeded: %s', { retryable: true, httpStatus: 429 })
+E('IMS_SERVER_ERROR', 'IMS server error: %s', { httpStatus: 500 })
+// other IMS errors, by endpoint
+E('IMS_TOKEN_ERROR', 'Error calling IMS to get access token: %s', {})
+E('IMS_VALIDATION_ERROR', 'Error calling IMS to validate access token: %s', {})
+E('IMS_REVOKE_ERROR', 'Error calling IMS to revoke access token: %s', {})
+E('IMS_BAD_RESPONSE', 'IMS returned an invalid response: %s', {})
+E('IMS_NETWORK_ERROR', 'Could not reach IMS: %s', { retryable: true, httpStatus: 502 })
+E('MISSING_PARAMETERS', 'Missing required parameters: %s. You may want to set the include-ims-credentials annotation.', { retryable: false, httpStatus: 400 })
+E('BAD_CREDENTIALS_FORMAT', 'Credentials must be an object, or a JSON or base64 encoded JSON string of an object', { retryable: false, httpStatus: 400 })
+E('BAD_CREDENTIALS_JSON', 'Credentials string is not valid: %s', { retryable: false, httpStatus: 400 })
+E('UNKNOWN_CREDENTIAL_NAME', 'No credentials named %s in the include-ims-credentials annotation. Available names are: %s', { retryable: false, httpStatus: 400 })
+E('BAD_SCOPES_FORMAT', 'Scopes must be an array', { retryable: false, httpStatus: 400 })
+E('BAD_PRIVATE_KEY', 'The private key is not a valid PEM encoded RSA private key: %s', { retryable: false, httpStatus: 400 })
+E('BAD_CERTIFICATE', 'The certificate is not a valid PEM encoded X.509 certificate of the private key: %s', { retryable: false, httpStatus: 400 })
+E('BAD_TOKEN_FORMAT', 'Access token is not a valid IMS JWT: %s', { retryable: false, httpStatus: 400 })
+E('STATE_MISMATCH', 'The state of the authorization response does not match the authorization request', { retryable: false, httpStatus: 400 })
+E('UNKNOWN_IMS_ENV', 'Unknown IMS environment: %s. Known environments are: %s', { retryable: false, httpStatus: 400 })
+E('BAD_IMS_URL', 'IMS base URL must be an http(s) URL: %s', { retryable: false, httpStatus: 400 })
+E('IMS_TIMEOUT', 'Timed out while getting an access token from IMS', { retryable: true, httpStatus: 504 })
+E('ABORTED', 'The access token request was aborted', { retryable: false })
+E('IMS_CIRCUIT_OPEN', 'IMS calls are paused after repeated failures, retry in %s ms', { retryable: true, httpStatus: 503 })
+E('GENERIC_ERROR', 'An unexpected error occurred: %s', { retryable: false, httpStatus: 500 })
 
-module.exports = { codes, messages }
+module.exports = { codes, messages, isRetryableStatus }
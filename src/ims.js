@@ -9,37 +9,137 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { codes } = require('./errors.js')
+const { codes, isRetryableStatus } = require('./errors.js')
+const { parsePrivateKey, parseCertificate, createJwtAssertion, createClientAssertion } = require('./jwt.js')
+const { getImsUrl } = require('./endpoints.js')
+const { getDispatcher } = require('./transport.js')
+const { withSpan, setImsAttributes } = require('./tracing.js')
+const logger = require('./logger.js')
+
+// response body characters kept in IMS_BAD_RESPONSE details
+const BODY_SNIPPET_LENGTH = 200
+
+// RFC 7523 client authentication with a signed JWT
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer'
+
+// standard OAuth error values, each mapped onto its own error code
+const OAUTH_ERROR_CODES = new Map([
+  ['invalid_client', 'IMS_INVALID_CLIENT'],
+  ['unauthorized_client', 'IMS_UNAUTHORIZED_CLIENT'],
+  ['invalid_scope', 'IMS_INVALID_SCOPE'],
+  ['invalid_grant', 'IMS_INVALID_GRANT'],
+  ['invalid_request', 'IMS_INVALID_REQUEST']
+])
+
+// the named credentials used when no credentialName is given
+const DEFAULT_CREDENTIAL_NAME = 'default'
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  initialDelay: 200, // ms
+  maxDelay: 5000 // ms
+}
+
+/**
+ * Parses stringified credentials, e.g. from an environment variable: JSON, or base64 encoded JSON
+ *
+ * @private
+ * @param {string} str - The credentials string
+ * @returns {{ error, value, encoding }} Object with error (if any), the parsed value and the encoding, 'json' or 'base64'
+ */
+function parseCredentialsString (str) {
+  const trimmed = str.trim()
+  // JSON values start with these, the base64 alphabet has none of them
+  const encoding = /^[{["]/.test(trimmed) ? 'json' : 'base64'
+  const json = encoding === 'json' ? trimmed : Buffer.from(trimmed, 'base64').toString('utf8')
+  try {
+    return { value: JSON.parse(json), encoding, error: null }
+  } catch (e) {
+    // the parser message may quote the input, so that only the position is reported
+    const position = e.message.match(/at position (\d+)/)?.[1]
+    const reason = encoding === 'json'
+      ? `invalid JSON${position ? ` at position ${position}` : ''}`
+      : 'neither JSON nor base64 encoded JSON'
+    return {
+      error: new codes.BAD_CREDENTIALS_JSON({
+        messageValues: reason,
+        sdkDetails: { encoding, length: str.length }
+      })
+    }
+  }
+}
 
 /**
- * IMS Base URLs
+ * Tells whether a value is a map of named credentials, e.g. { default: {...}, analytics: {...} }, rather than credentials
+ *
+ * @private
+ * @param {*} value - The value
+ * @returns {boolean} true for an object without a client ID, holding only objects
  */
-const IMS_BASE_URL_PROD = 'https://ims-na1.adobelogin.com'
-const IMS_BASE_URL_STAGE = 'https://ims-na1-stg1.adobelogin.com'
+function isCredentialMap (value) {
+  if (!(typeof value === 'object' && value !== null && !Array.isArray(value))) {
+    return false
+  }
+  const entries = Object.values(value)
+  return !value.clientId && !value.client_id && entries.length > 0 &&
+    entries.every(entry => typeof entry === 'object' && entry !== null && !Array.isArray(entry))
+}
 
 /**
- * Gets the IMS base URL based on the environment
+ * Selects credentials by name, among the named credentials of the include-ims-credentials annotation.
+ * Credentials that are not a map of named credentials are the default entry.
  *
  * @private
- * @param {string} env - The environment ('prod' or 'stage')
- * @returns {string} The IMS base URL
+ * @param {object|string} [value] - Credentials or a map of named credentials, possibly a JSON or base64 encoded JSON string
+ * @param {string} [credentialName='default'] - The name of the credentials
+ * @returns {{ error, params }} Object with error (if any) and the selected credentials, to validate with getAndValidateCredentials
  */
-function getImsUrl (env) {
-  return env === 'stage' ? IMS_BASE_URL_STAGE : IMS_BASE_URL_PROD
+function selectNamedCredentials (value, credentialName = DEFAULT_CREDENTIAL_NAME) {
+  if (typeof value === 'string') {
+    const parsed = parseCredentialsString(value)
+    if (parsed.error) {
+      return { error: parsed.error }
+    }
+    value = parsed.value
+  }
+  if (!isCredentialMap(value)) {
+    if (credentialName === DEFAULT_CREDENTIAL_NAME) {
+      return { params: value, error: null }
+    }
+    value = value === undefined ? {} : { [DEFAULT_CREDENTIAL_NAME]: value }
+  }
+  const names = Object.keys(value)
+  if (!names.includes(credentialName)) {
+    return {
+      error: new codes.UNKNOWN_CREDENTIAL_NAME({
+        messageValues: [credentialName, names.join(', ') || 'none'],
+        sdkDetails: { credentialName, availableNames: names }
+      })
+    }
+  }
+  return { params: value[credentialName], error: null }
 }
 
 /**
  * Validates required parameters for client credentials flow
  *
  * @private
- * @param {object} params - Parameters to validate
+ * @param {object|string} params - Parameters to validate, or a JSON or base64 encoded JSON string of them
  * @returns {{ error, credentials }} Object with error (if any) and validated credentials object
  */
 function getAndValidateCredentials (params) {
+  let encoding
+  if (typeof params === 'string') {
+    const parsed = parseCredentialsString(params)
+    if (parsed.error) {
+      return { error: parsed.error }
+    }
+    ({ value: params, encoding } = parsed)
+  }
   if (!(typeof params === 'object' && params !== null && !Array.isArray(params))) {
     return {
       error: new codes.BAD_CREDENTIALS_FORMAT({
-        sdkDetails: { paramsType: typeof params }
+        sdkDetails: { paramsType: Array.isArray(params) ? 'array' : typeof params, ...(encoding && { encoding }) }
       })
     }
   }
@@ -59,17 +159,27 @@ function getAndValidateCredentials (params) {
   credentials.scopes = params.scopes || []
 
   const { clientId, clientSecret, orgId, scopes } = credentials
+  // legacy JWT service account credentials are told apart by their metascopes, OAuth server-to-server
+  // credentials from the Developer Console also hold the technical account fields, which they do not use
+  const isJwt = Boolean(params.metaScopes || params.meta_scopes)
+  // OAuth server-to-server credentials can authenticate with a private key instead of the client secret
+  const privateKey = params.privateKey || params.private_key
+
   const missingParams = []
   if (!clientId) {
     missingParams.push('clientId')
   }
-  if (!clientSecret) {
+  if (!clientSecret && (isJwt || !privateKey)) {
     missingParams.push('clientSecret')
   }
   if (!orgId) {
     missingParams.push('orgId')
   }
 
+  if (isJwt) {
+    return getAndValidateJwtCredentials(params, credentials, missingParams)
+  }
+
   if (missingParams.length > 0) {
     return { error: new codes.MISSING_PARAMETERS({
       messageValues: missingParams.join(', '),
@@ -77,88 +187,733 @@ function getAndValidateCredentials (params) {
     }) }
   }
 
+  if (privateKey) {
+    const { key, error } = parsePrivateKey(privateKey)
+    if (error) {
+      return { error }
+    }
+    credentials.privateKey = privateKey
+    credentials.keyId = params.keyId || params.key_id
+
+    const certificate = params.certificate
+    if (certificate) {
+      const { error } = parseCertificate(certificate, key)
+      if (error) {
+        return { error }
+      }
+      credentials.certificate = certificate
+    }
+  }
+
   return { credentials, error: null }
 }
 
+/**
+ * Validates the additional parameters of legacy JWT service account credentials
+ *
+ * @private
+ * @deprecated JWT service account credentials are deprecated by Adobe, migrate to OAuth server-to-server credentials
+ * @param {object} params - Parameters to validate
+ * @param {object} credentials - The credentials validated so far
+ * @param {string[]} missingParams - The missing parameters found so far
+ * @returns {{ error, credentials }} Object with error (if any) and validated credentials object
+ */
+function getAndValidateJwtCredentials (params, credentials, missingParams) {
+  const technicalAccountId = params.technicalAccountId || params.technical_account_id
+  const privateKey = params.privateKey || params.private_key
+  const metaScopes = params.metaScopes || params.meta_scopes
+  const { clientId, orgId, scopes } = credentials
+
+  if (!Array.isArray(metaScopes)) {
+    return {
+      error: new codes.BAD_SCOPES_FORMAT({
+        sdkDetails: { metaScopesType: typeof metaScopes }
+      })
+    }
+  }
+  if (!technicalAccountId) {
+    missingParams.push('technicalAccountId')
+  }
+  if (!privateKey) {
+    missingParams.push('privateKey')
+  }
+  if (metaScopes.length === 0) {
+    missingParams.push('metaScopes')
+  }
+  if (missingParams.length > 0) {
+    return {
+      error: new codes.MISSING_PARAMETERS({
+        messageValues: missingParams.join(', '),
+        sdkDetails: { clientId, orgId, scopes, technicalAccountId, metaScopes }
+      })
+    }
+  }
+
+  const { error } = parsePrivateKey(privateKey)
+  if (error) {
+    return { error }
+  }
+  return { credentials: { ...credentials, technicalAccountId, privateKey, metaScopes }, error: null }
+}
+
+/**
+ * Gets the start of a response body for error details, with secrets masked
+ *
+ * @private
+ * @param {string} text - The response body
+ * @returns {string} The body, truncated to BODY_SNIPPET_LENGTH characters
+ */
+function getBodySnippet (text) {
+  const snippet = text.length > BODY_SNIPPET_LENGTH ? `${text.slice(0, BODY_SNIPPET_LENGTH)}...` : text
+  return logger.redact(snippet)
+}
+
+/**
+ * Reads an IMS response body, which must be a JSON object.
+ * Gateways and proxies in front of IMS may answer with an HTML error page or an empty body instead.
+ *
+ * @private
+ * @param {object} response - The fetch response
+ * @param {boolean} emptyResponse - Whether a successful response has an empty body, which is then not read
+ * @returns {Promise<{ data: object, reason: string, text: string }>} The parsed body, else an empty object and why the body is invalid, with the body text
+ */
+async function readResponseBody (response, emptyResponse) {
+  if (response.ok && emptyResponse) {
+    return { data: {}, text: '' }
+  }
+  // read as text once, so that invalid bodies can be reported whatever their content-type
+  const text = await response.text()
+  const contentType = response.headers?.get('content-type')
+  if (contentType && !/[/+]json\b/i.test(contentType)) {
+    return { data: {}, reason: `unexpected content-type ${contentType}`, text }
+  }
+
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (e) {
+    // the parse error quotes the start of the body
+    return { data: {}, reason: `the response body is not valid JSON: ${logger.redact(e.message)}`, text }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, reason: 'the response body is not a JSON object', text }
+  }
+  return { data, text }
+}
+
+/**
+ * Checks a successful token response, IMS always returns an access_token
+ *
+ * @private
+ * @param {object} data - The token response
+ * @returns {string|null} Why the token response is invalid, null if it is valid
+ */
+function checkTokenResponse (data) {
+  if (!data.access_token || typeof data.access_token !== 'string') {
+    return 'the token response has no access_token'
+  }
+  return null
+}
+
+/**
+ * Adds an absolute expires_at timestamp to a token response, based on its expires_in (seconds)
+ *
+ * @private
+ * @param {object} data - The IMS token response
+ * @param {number} issuedAt - When the token was requested, in ms since epoch
+ * @returns {object} The token response, with expires_at set if expires_in is a number
+ */
+function withExpiresAt (data, issuedAt) {
+  if (!Number.isFinite(data.expires_in)) {
+    return data
+  }
+  return { ...data, expires_at: issuedAt + data.expires_in * 1000 }
+}
+
+/**
+ * Gets the error code of a failed IMS response
+ *
+ * @private
+ * @param {number} status - The HTTP status
+ * @param {string} [error] - The OAuth error value of the response body
+ * @param {string} fallback - The error code of the endpoint, for other failures
+ * @returns {string} The error code
+ */
+function getResponseErrorCode (status, error, fallback) {
+  if (OAUTH_ERROR_CODES.has(error)) {
+    return OAUTH_ERROR_CODES.get(error)
+  }
+  if (status === 429) {
+    return 'IMS_RATE_LIMITED'
+  }
+  if (status >= 500) {
+    return 'IMS_SERVER_ERROR'
+  }
+  return fallback
+}
+
+/**
+ * Tells whether a failed IMS response is worth retrying
+ *
+ * @private
+ * @param {object} response - The fetch response
+ * @param {object} data - The parsed response body
+ * @returns {boolean} true for rate limiting and transient server errors, never for bad client credentials
+ */
+function isRetryableResponse (response, data) {
+  return isRetryableStatus(response.status) && data.error !== 'invalid_client'
+}
+
+/**
+ * Computes the exponential backoff delay before the next attempt, with jitter
+ *
+ * @private
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {object} retryOptions - The retry options
+ * @returns {number} The delay in ms
+ */
+function getBackoffDelay (attempt, { initialDelay, maxDelay }) {
+  const delay = Math.min(maxDelay, initialDelay * 2 ** (attempt - 1))
+  return delay / 2 + Math.random() * delay / 2
+}
+
+/**
+ * Parses a Retry-After header, which is either a number of seconds or an HTTP date
+ *
+ * @private
+ * @param {string} value - The header value
+ * @returns {number|null} The delay in ms, or null if the header is missing or invalid
+ */
+function parseRetryAfter (value) {
+  if (!value) {
+    return null
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Computes the delay before retrying a failed IMS response
+ *
+ * @private
+ * @param {object} response - The fetch response
+ * @param {object} data - The parsed response body
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {object} retryOptions - The retry options
+ * @returns {number|null} The delay in ms, or null if the request must not be retried
+ */
+function getRetryDelay (response, data, attempt, retryOptions) {
+  if (attempt >= retryOptions.maxAttempts || !isRetryableResponse(response, data)) {
+    return null
+  }
+  if (response.status === 429 || response.status === 503) {
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+    if (retryAfter !== null) {
+      // don't wait longer than allowed, fail right away instead
+      return retryAfter <= retryOptions.maxDelay ? retryAfter : null
+    }
+  }
+  return getBackoffDelay(attempt, retryOptions)
+}
+
+/**
+ * Waits for the given delay
+ *
+ * @private
+ * @param {number} ms - The delay in ms
+ * @param {AbortSignal} [signal] - Rejects early with the signal reason when aborted
+ * @returns {Promise<void>}
+ */
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Combines an optional AbortSignal and an optional timeout into a single signal
+ *
+ * @private
+ * @param {object} [options] - The call options
+ * @param {AbortSignal} [options.signal] - The caller signal
+ * @param {number} [options.timeout] - Timeout in ms
+ * @returns {AbortSignal|undefined} The combined signal, undefined if there is neither a signal nor a timeout
+ */
+function getCallSignal ({ signal, timeout } = {}) {
+  const signals = []
+  if (signal) {
+    signals.push(signal)
+  }
+  if (timeout) {
+    const timeoutSignal = AbortSignal.timeout(timeout)
+    // AbortSignal.any() does not keep its source signals alive, the timeout could be garbage collected before it fires
+    timeoutSignal.addEventListener('abort', () => {})
+    signals.push(timeoutSignal)
+  }
+  return signals.length > 0 ? AbortSignal.any(signals) : undefined
+}
+
+/**
+ * Creates the error for an aborted call, IMS_TIMEOUT if it was aborted by a timeout, ABORTED otherwise
+ *
+ * @private
+ * @param {AbortSignal} signal - The aborted signal
+ * @param {object} sdkDetails - The error sdkDetails
+ * @returns {Error} The AuthSDKError
+ */
+function getAbortError (signal, sdkDetails) {
+  if (signal.reason?.name === 'TimeoutError') {
+    return new codes.IMS_TIMEOUT({ sdkDetails })
+  }
+  return new codes.ABORTED({ sdkDetails })
+}
+
+/**
+ * Posts a form to IMS, with retries, timeout and cancellation, and maps failures onto AuthSDKError codes
+ *
+ * Rate limited (429), transient server errors (500, 502, 503, 504) and network failures are retried
+ * with exponential backoff, honoring the Retry-After header on 429 and 503 responses.
+ *
+ * @private
+ * @param {string} path - The IMS endpoint path, e.g. '/ims/token/v2'
+ * @param {URLSearchParams|function(): URLSearchParams} formData - The form to post, or a function creating it for each attempt, e.g. to sign a new client assertion
+ * @param {object} [options] - Request options
+ * @param {string} [options.env] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {string} [options.errorCode='IMS_TOKEN_ERROR'] - The error code thrown on HTTP errors without a more specific code, e.g. IMS_INVALID_CLIENT or IMS_SERVER_ERROR
+ * @param {object} [options.sdkDetails] - Details added to all errors, must not contain secrets
+ * @param {boolean} [options.emptyResponse=false] - Set when the endpoint answers success with an empty body, which is then not parsed
+ * @param {function(object): string|null} [options.checkData] - Checks a successful response body, returns why it is invalid, or null
+ * @param {Function} [options.fetch] - The fetch implementation to use, defaults to the global fetch
+ * @param {string} [options.imsBaseUrl] - IMS base URL override for all environments
+ * @param {object} [options.imsUrls] - IMS base URL overrides, keyed by environment
+ * @param {object} [options.dispatcher] - An undici dispatcher passed to fetch
+ * @param {string|boolean} [options.proxy] - The proxy URL, defaults to the HTTPS_PROXY or HTTP_PROXY environment variable, false disables proxying
+ * @param {string|Buffer|Array<string|Buffer>} [options.ca] - Extra PEM CA certificates
+ * @param {number} [options.keepAliveTimeout] - How long in ms idle connections are kept open
+ * @param {object} [options.retry] - Retry policy
+ * @param {number} [options.timeout] - Timeout in ms for the whole call, retries included
+ * @param {AbortSignal} [options.signal] - Signal to cancel the call
+ * @returns {Promise<{ data: object, response: object, requestedAt: number, attempts: number }>} The parsed response body, the response, when the successful request was sent, and the number of attempts
+ */
+async function postToIms (path, formData, options = {}) {
+  const { env, errorCode = 'IMS_TOKEN_ERROR', sdkDetails = {}, emptyResponse = false, checkData = () => null } = options
+  const imsBaseUrl = getImsUrl(env, options)
+  const fetchImpl = options.fetch || fetch
+  const url = `${imsBaseUrl}${path}`
+  const dispatcher = getDispatcher(url, options)
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry }
+  const signal = getCallSignal(options)
+
+  // status of each attempt, reported in the error sdkDetails
+  const attemptHistory = []
+
+  const abortError = (attempt) => getAbortError(signal, {
+    ...sdkDetails,
+    imsEnv: env,
+    timeout: options.timeout,
+    attempts: attempt,
+    attemptHistory
+  })
+
+  const badResponseError = (response, reason, text, attempt) => new codes.IMS_BAD_RESPONSE({
+    messageValues: reason,
+    sdkDetails: {
+      statusCode: response.status,
+      statusText: response.statusText,
+      contentType: response.headers.get('content-type'),
+      xDebugId: response.headers.get('x-debug-id'),
+      reason,
+      bodySnippet: getBodySnippet(text),
+      ...sdkDetails,
+      imsEnv: env,
+      attempts: attempt,
+      attemptHistory
+    }
+  })
+
+  /**
+   * Makes one attempt, then retries if needed
+   *
+   * @private
+   * @param {number} attempt - The attempt number, starting at 1
+   * @returns {Promise<object>} The response data
+   */
+  async function attemptRequest (attempt) {
+    let retryDelay
+    try {
+      const body = typeof formData === 'function' ? formData() : formData
+      logger.debug('IMS request', { method: 'POST', url, imsEnv: env, attempt, body })
+      const requestedAt = Date.now()
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: body.toString(),
+        signal,
+        // proxy, CA certificates and keep-alive, only set when configured so that any fetch implementation works
+        ...(dispatcher && { dispatcher })
+      /* v8 ignore next */})
+
+      const { data, reason, text } = await readResponseBody(response, emptyResponse)
+      logger.debug('IMS response', { url, status: response.status, xDebugId: response.headers?.get('x-debug-id'), attempt, duration: Date.now() - requestedAt, body: data, reason })
+
+      if (response.ok) {
+        const invalidReason = reason || checkData(data)
+        if (invalidReason) {
+          throw badResponseError(response, invalidReason, text, attempt)
+        }
+        return { data, response, requestedAt, attempts: attempt }
+      }
+
+      // The response indicates an error
+      attemptHistory.push({ statusCode: response.status, error: data.error })
+      retryDelay = getRetryDelay(response, data, attempt, retryOptions)
+      if (retryDelay === null && reason) {
+        // e.g. the HTML error page of a gateway
+        throw badResponseError(response, reason, text, attempt)
+      }
+      if (retryDelay === null) {
+        const errorMessage = data.error_description || data.error || `HTTP ${response.status}`
+        const xDebugId = response.headers.get('x-debug-id')
+
+        throw new codes[getResponseErrorCode(response.status, data.error, errorCode)]({
+          messageValues: errorMessage,
+          sdkDetails: {
+            statusCode: response.status,
+            statusText: response.statusText,
+            error: data.error,
+            errorDescription: data.error_description,
+            xDebugId,
+            ...sdkDetails,
+            imsEnv: env,
+            attempts: attempt,
+            attemptHistory
+          }
+        })
+      }
+    } catch (error) {
+      // If it's already our custom error, re-throw it
+      if (error.name === 'AuthSDKError') {
+        throw error
+      }
+
+      // Aborted calls are never retried
+      if (signal?.aborted) {
+        throw abortError(attempt)
+      }
+
+      // Network failures are retried too, fetch reports DNS and connection errors as the cause
+      const networkError = error.cause || error
+      logger.debug('IMS request failed', { url, attempt, error: networkError.message })
+      attemptHistory.push({ error: networkError.message })
+      if (attempt >= retryOptions.maxAttempts) {
+        throw new codes.IMS_NETWORK_ERROR({
+          messageValues: networkError.message,
+          sdkDetails: {
+            originalError: error.message,
+            networkErrorCode: networkError.code,
+            ...sdkDetails,
+            imsEnv: env,
+            attempts: attempt,
+            attemptHistory
+          }
+        })
+      }
+      retryDelay = getBackoffDelay(attempt, retryOptions)
+    }
+
+    await sleep(retryDelay, signal).catch(() => {
+      throw abortError(attempt)
+    })
+    return attemptRequest(attempt + 1)
+  }
+
+  return attemptRequest(1)
+}
+
+/**
+ * Adds the client authentication to a form: a client_assertion signed with the private key (RFC 7523 private_key_jwt)
+ * when there is one, the client_secret otherwise. Legacy JWT credentials always send their client secret, their
+ * private key signs the JWT exchange assertion only.
+ *
+ * @private
+ * @param {URLSearchParams} formData - The form
+ * @param {object} credentials - The client credentials
+ * @param {string} credentials.clientId - The client ID
+ * @param {string} [credentials.clientSecret] - The client secret
+ * @param {string} [credentials.privateKey] - The PEM encoded RSA private key
+ * @param {string} [credentials.keyId] - The key ID, sent as the kid header of the assertion
+ * @param {string} [credentials.certificate] - The certificate of the private key, its thumbprint is sent as the x5t#S256 header of the assertion
+ * @param {string} [credentials.technicalAccountId] - The technical account ID of legacy JWT credentials
+ * @param {string} audience - The URL of the IMS endpoint, the audience of the assertion
+ */
+function appendClientAuthentication (formData, { clientId, clientSecret, privateKey, keyId, certificate, technicalAccountId }, audience) {
+  if (privateKey && !technicalAccountId) {
+    formData.append('client_assertion_type', CLIENT_ASSERTION_TYPE)
+    formData.append('client_assertion', createClientAssertion({ clientId, privateKey, keyId, certificate }, audience))
+  } else {
+    formData.append('client_secret', clientSecret)
+  }
+}
+
 /**
  * Gets an access token using client credentials flow
  *
+ * Rate limited (429), transient server errors (500, 502, 503, 504) and network failures are retried
+ * with exponential backoff, honoring the Retry-After header on 429 and 503 responses.
+ *
  * @param {object} params - Parameters for token generation
  * @param {string} params.clientId - The client ID
- * @param {string} params.clientSecret - The client secret
+ * @param {string} [params.clientSecret] - The client secret, required unless privateKey is set
+ * @param {string} [params.privateKey] - A PEM encoded RSA private key, used to sign a client_assertion instead of sending the client secret
+ * @param {string} [params.keyId] - The ID of the private key, sent as the kid header of the client_assertion
+ * @param {string} [params.certificate] - The PEM encoded certificate of the private key, its SHA-256 thumbprint is sent as the x5t#S256 header of the client_assertion
  * @param {string} params.orgId - The organization ID
  * @param {string[]} [params.scopes=[]] - Array of scopes to request
- * @param {string} [params.environment='prod'] - The IMS environment ('prod' or 'stage')
- * @returns {Promise<object>} Promise that resolves with the token response
- * @throws {Error} If there's an error getting the access token
+ * @param {string} [params.env='prod'] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {object} [options] - Transport options
+ * @param {Function} [options.fetch] - The fetch implementation to use, defaults to the global fetch
+ * @param {string} [options.imsBaseUrl] - IMS base URL override for all environments
+ * @param {object} [options.imsUrls] - IMS base URL overrides, e.g. { prod: 'https://...', stage: 'https://...' }
+ * @param {object} [options.dispatcher] - An undici dispatcher passed to fetch, e.g. an undici ProxyAgent or MockAgent
+ * @param {string|boolean} [options.proxy] - The proxy URL, defaults to the HTTPS_PROXY or HTTP_PROXY environment variable (NO_PROXY is honored), false disables proxying
+ * @param {string|Buffer|Array<string|Buffer>} [options.ca] - Extra PEM CA certificates, trusted on top of the Node.js root certificates
+ * @param {number} [options.keepAliveTimeout] - How long in ms idle connections are kept open
+ * @param {object} [options.retry] - Retry policy
+ * @param {number} [options.retry.maxAttempts=3] - Maximum number of attempts, set to 1 to disable retries
+ * @param {number} [options.retry.initialDelay=200] - Backoff delay in ms after the first attempt, doubled on each attempt
+ * @param {number} [options.retry.maxDelay=5000] - Maximum delay in ms between attempts, a longer Retry-After fails right away
+ * @param {number} [options.timeout] - Timeout in ms for the whole call, retries included, fails with IMS_TIMEOUT
+ * @param {AbortSignal} [options.signal] - Signal to cancel the call, fails with ABORTED
+ * @returns {Promise<object>} Promise that resolves with the token response, with an added expires_at (ms since epoch)
+ * @throws {Error} If there's an error getting the access token, sdkDetails has the attempts count and attemptHistory
+ */
+async function getAccessTokenByClientCredentials ({ clientId, clientSecret, privateKey, keyId, certificate, orgId, scopes = [], env }, options = {}) {
+  // Prepare form data using URLSearchParams (native Node.js), for each attempt so that retries get a fresh client assertion
+  const createFormData = () => {
+    const formData = new URLSearchParams()
+    formData.append('grant_type', 'client_credentials')
+    formData.append('client_id', clientId)
+    appendClientAuthentication(formData, { clientId, clientSecret, privateKey, keyId, certificate }, `${getImsUrl(env, options)}/ims/token/v2`)
+    formData.append('org_id', orgId)
+    if (scopes.length > 0) {
+      formData.append('scope', scopes.join(','))
+    }
+    return formData
+  }
+
+  return withSpan('getAccessTokenByClientCredentials', { 'aio.auth.ims_env': env || 'prod', 'aio.auth.client_id': clientId }, async (span) => {
+    const { data, response, requestedAt, attempts } = await postToIms('/ims/token/v2', createFormData, {
+      ...options,
+      env,
+      checkData: checkTokenResponse,
+      sdkDetails: { clientId, orgId, scopes }
+    })
+    setImsAttributes(span, { statusCode: response.status, xDebugId: response.headers?.get('x-debug-id'), attempts })
+    return withExpiresAt(data, requestedAt)
+  })
+}
+
+// the JWT deprecation warning is only emitted once per process
+let jwtDeprecationWarned = false
+
+/**
+ * Gets an access token using legacy JWT service account credentials: signs a JWT assertion with the
+ * private key (RS256), and exchanges it at /ims/exchange/jwt
+ *
+ * @deprecated JWT service account credentials are deprecated by Adobe, migrate to OAuth server-to-server credentials
+ * @param {object} params - Parameters for token generation
+ * @param {string} params.clientId - The client ID
+ * @param {string} params.clientSecret - The client secret
+ * @param {string} params.orgId - The organization ID
+ * @param {string} params.technicalAccountId - The technical account ID
+ * @param {string} params.privateKey - The PEM encoded RSA private key
+ * @param {string[]} params.metaScopes - The metascopes, e.g. 'ent_dataservices_sdk'
+ * @param {string} [params.env='prod'] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {object} [options] - Transport options, see getAccessTokenByClientCredentials
+ * @returns {Promise<object>} Promise that resolves with the token response, with expires_in in seconds and an added expires_at (ms since epoch)
+ * @throws {Error} IMS_TOKEN_ERROR if IMS returns an error response
  */
-async function getAccessTokenByClientCredentials ({ clientId, clientSecret, orgId, scopes = [], env } ) {
-  const imsBaseUrl = getImsUrl(env)
+async function getAccessTokenByJwt ({ clientId, clientSecret, orgId, technicalAccountId, privateKey, metaScopes, env }, options = {}) {
+  if (!jwtDeprecationWarned) {
+    jwtDeprecationWarned = true
+    process.emitWarning(
+      'JWT service account credentials are deprecated, migrate to OAuth server-to-server credentials',
+      { type: 'DeprecationWarning', code: 'AIO_CORE_AUTH_JWT' }
+    )
+  }
 
-  // Prepare form data using URLSearchParams (native Node.js)
   const formData = new URLSearchParams()
-  formData.append('grant_type', 'client_credentials')
   formData.append('client_id', clientId)
   formData.append('client_secret', clientSecret)
-  formData.append('org_id', orgId)
-  if (scopes.length > 0) {
-    formData.append('scope', scopes.join(','))
+  formData.append('jwt_token', createJwtAssertion(
+    { clientId, orgId, technicalAccountId, privateKey, metaScopes },
+    getImsUrl(env, options)
+  ))
+
+  const { data, requestedAt } = await postToIms('/ims/exchange/jwt', formData, {
+    ...options,
+    env,
+    checkData: checkTokenResponse,
+    sdkDetails: { clientId, orgId, technicalAccountId, metaScopes }
+  })
+  // the JWT exchange returns expires_in in ms, unlike the other IMS token endpoints
+  if (Number.isFinite(data.expires_in)) {
+    data.expires_in = Math.floor(data.expires_in / 1000)
   }
+  return withExpiresAt(data, requestedAt)
+}
 
-  try {
-    const response = await fetch(`${imsBaseUrl}/ims/token/v2`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: formData.toString()
-    /* v8 ignore next */})
-
-    const data = await response.json()
-
-    // Check if the response indicates an error
-    if (!response.ok) {
-      const errorMessage = data.error_description || data.error || `HTTP ${response.status}`
-      const xDebugId = response.headers.get('x-debug-id')
-
-      throw new codes.IMS_TOKEN_ERROR({
-        messageValues: errorMessage,
-        sdkDetails: {
-          statusCode: response.status,
-          statusText: response.statusText,
-          error: data.error,
-          errorDescription: data.error_description,
-          xDebugId,
-          clientId,
-          orgId,
-          scopes,
-          imsEnv: env
-        }
-      /* v8 ignore next */})
-    }
+/**
+ * Exchanges an authorization code for user tokens, in the authorization code flow with PKCE. The exchange is never retried.
+ *
+ * @param {object} params - Parameters for the code exchange
+ * @param {string} params.clientId - The client ID
+ * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+ * @param {string} params.code - The authorization code from the redirect
+ * @param {string} params.codeVerifier - The PKCE code verifier of the authorization request
+ * @param {string} [params.env='prod'] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {object} [options] - Transport options, see getAccessTokenByClientCredentials
+ * @returns {Promise<object>} Promise that resolves with the token response, e.g. access_token and refresh_token, with an added expires_at (ms since epoch)
+ * @throws {Error} IMS_TOKEN_ERROR if IMS returns an error response
+ */
+async function getAccessTokenByAuthorizationCode ({ clientId, clientSecret, code, codeVerifier, env }, options = {}) {
+  const formData = new URLSearchParams()
+  formData.append('grant_type', 'authorization_code')
+  formData.append('client_id', clientId)
+  if (clientSecret) {
+    formData.append('client_secret', clientSecret)
+  }
+  formData.append('code', code)
+  formData.append('code_verifier', codeVerifier)
 
-    return data
-  } catch (error) {
-    // If it's already our custom error, re-throw it
-    if (error.name === 'AuthSDKError') {
-      throw error
-    }
-
-    // Handle unexpected errors
-    throw new codes.GENERIC_ERROR({
-      messageValues: error.message,
-      sdkDetails: {
-        originalError: error.message,
-        clientId,
-        orgId,
-        scopes,
-        imsEnv: env
-      }
-    })
+  const { data, requestedAt } = await postToIms('/ims/token/v3', formData, {
+    ...options,
+    // an authorization code can only be used once, a retry after IMS processed the first attempt fails with invalid_grant
+    retry: { ...options.retry, maxAttempts: 1 },
+    env,
+    checkData: checkTokenResponse,
+    sdkDetails: { clientId }
+  })
+  return withExpiresAt(data, requestedAt)
+}
+
+/**
+ * Gets new user tokens using a refresh token. The refresh is never retried.
+ *
+ * @param {object} params - Parameters for the refresh
+ * @param {string} params.clientId - The client ID
+ * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+ * @param {string} params.refreshToken - The refresh token
+ * @param {string} [params.env='prod'] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {object} [options] - Transport options, see getAccessTokenByClientCredentials
+ * @returns {Promise<object>} Promise that resolves with the token response, with a new refresh_token if IMS rotated it, and an added expires_at (ms since epoch)
+ * @throws {Error} IMS_TOKEN_ERROR if IMS returns an error response
+ */
+async function getAccessTokenByRefreshToken ({ clientId, clientSecret, refreshToken, env }, options = {}) {
+  const formData = new URLSearchParams()
+  formData.append('grant_type', 'refresh_token')
+  formData.append('client_id', clientId)
+  if (clientSecret) {
+    formData.append('client_secret', clientSecret)
   }
+  formData.append('refresh_token', refreshToken)
+
+  const { data, requestedAt } = await postToIms('/ims/token/v3', formData, {
+    ...options,
+    // IMS may have rotated the refresh token on an attempt that failed on our side, a retry would send a used one
+    retry: { ...options.retry, maxAttempts: 1 },
+    env,
+    checkData: checkTokenResponse,
+    sdkDetails: { clientId }
+  })
+  return withExpiresAt(data, requestedAt)
+}
+
+/**
+ * Validates an access token with IMS
+ *
+ * @param {object} params - Parameters for token validation
+ * @param {string} params.token - The access token to validate
+ * @param {string} params.clientId - The client ID the token was issued to
+ * @param {string} [params.env='prod'] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {object} [options] - Transport options, see getAccessTokenByClientCredentials
+ * @returns {Promise<object>} Promise that resolves with the IMS validation response, e.g. { valid, reason, token }
+ * @throws {Error} IMS_VALIDATION_ERROR if IMS returns an error response
+ */
+async function validateToken ({ token, clientId, env }, options = {}) {
+  const formData = new URLSearchParams()
+  formData.append('type', 'access_token')
+  formData.append('client_id', clientId)
+  formData.append('token', token)
+
+  const { data } = await postToIms('/ims/validate_token/v1', formData, {
+    ...options,
+    env,
+    errorCode: 'IMS_VALIDATION_ERROR',
+    sdkDetails: { clientId }
+  })
+  return data
+}
+
+/**
+ * Revokes an access token with IMS
+ *
+ * @param {object} params - Parameters for token revocation
+ * @param {string} params.token - The access token to revoke
+ * @param {string} params.clientId - The client ID the token was issued to
+ * @param {string} [params.clientSecret] - The client secret, required unless privateKey is set
+ * @param {string} [params.privateKey] - A PEM encoded RSA private key, used to sign a client_assertion instead of sending the client secret
+ * @param {string} [params.keyId] - The ID of the private key
+ * @param {string} [params.certificate] - The certificate of the private key
+ * @param {string} [params.technicalAccountId] - The technical account ID of legacy JWT credentials, which send their client secret
+ * @param {string} [params.orgId] - The organization ID, for error details
+ * @param {string[]} [params.scopes=[]] - The token scopes, for error details
+ * @param {string} [params.env='prod'] - The IMS environment ('prod', 'stage', or a registered environment)
+ * @param {object} [options] - Transport options, see getAccessTokenByClientCredentials
+ * @returns {Promise<void>} Promise that resolves once IMS revoked the token
+ * @throws {Error} IMS_REVOKE_ERROR if IMS returns an error response
+ */
+async function revokeToken ({ token, clientId, clientSecret, privateKey, keyId, certificate, technicalAccountId, orgId, scopes = [], env }, options = {}) {
+  const createFormData = () => {
+    const formData = new URLSearchParams()
+    formData.append('token', token)
+    formData.append('token_type_hint', 'access_token')
+    formData.append('client_id', clientId)
+    appendClientAuthentication(formData, { clientId, clientSecret, privateKey, keyId, certificate, technicalAccountId }, `${getImsUrl(env, options)}/ims/revoke/v2`)
+    return formData
+  }
+
+  await postToIms('/ims/revoke/v2', createFormData, {
+    ...options,
+    env,
+    errorCode: 'IMS_REVOKE_ERROR',
+    emptyResponse: true,
+    sdkDetails: { clientId, orgId, scopes }
+  })
 }
 
 module.exports = {
+  getCallSignal,
+  getAbortError,
   getAndValidateCredentials,
-  getAccessTokenByClientCredentials
+  selectNamedCredentials,
+  getAccessTokenByClientCredentials,
+  getAccessTokenByJwt,
+  getAccessTokenByAuthorizationCode,
+  getAccessTokenByRefreshToken,
+  validateToken,
+  revokeToken
 }
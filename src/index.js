@@ -9,95 +9,222 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { getAccessTokenByClientCredentials, getAndValidateCredentials } = require('./ims.js')
-const { TTLCache } = require('@isaacs/ttlcache')
-const crypto = require('crypto')
+const { createAuthClient } = require('./client.js')
+const { createFileStore, createStateStore } = require('./stores.js')
+const { createParamsProvider, createAnnotationProvider, createEnvProvider, createFileProvider } = require('./providers.js')
+const { getTokenInfo, isTokenExpired } = require('./token.js')
+const { verifyState } = require('./authorization.js')
+const { registerImsEnvironment } = require('./endpoints.js')
 
-// include-ims-credentials annotation input keys (keep in sync with src/constants.js)
-const IMS_OAUTH_S2S_INPUT = '__ims_oauth_s2s'
-const IMS_ENV_INPUT = '__ims_env'
+// the top-level exports are backed by a default client, shared by the whole process
+const defaultClient = createAuthClient()
 
-// Token cache with TTL
-// Opinionated for now, we could make it configurable in the future if needed -mg
-const tokenCache = new TTLCache({ ttl: 5 * 60 * 1000 }) // 5 minutes in milliseconds
+/**
+ * Invalidates the token cache of the default client
+ *
+ * @returns {void}
+ */
+function invalidateCache () {
+  defaultClient.invalidateCache()
+}
 
 /**
- * Generates a cache key for token storage
+ * Generates an access token for authentication (with caching), using the default client
  *
- * @private
- * @param {object} credentials - The credentials object
- * @param {string} credentials.clientId - The client ID
- * @param {string} credentials.orgId - The organization ID
- * @param {string} credentials.env - The env
- * @param {string[]} credentials.scopes - Array of scopes
- * @returns {string} The cache key
+ * @param {object|string} params - Parameters for token generation, or a JSON or base64 encoded JSON string of them
+ * @param {string} params.clientId - The client ID
+ * @param {string} [params.clientSecret] - The client secret, required unless privateKey is set
+ * @param {string} params.orgId - The organization ID
+ * @param {string[]} [params.scopes=[]] - Array of scopes to request
+ * @param {string} [params.technicalAccountId] - Deprecated, set with privateKey and metaScopes to use legacy JWT service account credentials
+ * @param {string} [params.privateKey] - A PEM encoded RSA private key, used to sign a client_assertion (private_key_jwt) instead of sending the client secret, or the private key of JWT credentials
+ * @param {string} [params.keyId] - The ID of the private key, sent as the kid header of the client_assertion
+ * @param {string} [params.certificate] - The PEM encoded certificate of the private key, its SHA-256 thumbprint is sent as the x5t#S256 header of the client_assertion
+ * @param {string[]} [params.metaScopes] - Deprecated, the metascopes of JWT credentials, e.g. 'ent_dataservices_sdk'
+ * @param {string} [imsEnv] - The IMS environment ('prod', 'stage', or a registered environment); when omitted or falsy, uses stage if __OW_NAMESPACE starts with 'development-', else prod
+ * @param {object} [options] - Options for this call
+ * @param {number} [options.expiryMargin=300000] - Tokens expiring within this many ms are never returned from the cache
+ * @param {number} [options.timeout] - Timeout in ms, fails with IMS_TIMEOUT
+ * @param {AbortSignal} [options.signal] - Signal to cancel the call, fails with ABORTED
+ * @param {string} [options.credentialName] - The name of the credentials among the named credentials of params.__ims_oauth_s2s, fails with UNKNOWN_CREDENTIAL_NAME if there are none by that name; defaults to 'default'
+ * @returns {Promise<object>} Promise that resolves with the token response, including an expires_at timestamp (ms since epoch)
+ * @throws {Error} If there's an error getting the access token
  */
-function getCacheKey ({clientId, orgId, env, scopes, clientSecret}) {
-  const scopeKey = scopes.length > 0 ? scopes.sort().join(',') : 'none'
-  return crypto.createHash('sha1').update(`${clientId}:${orgId}:${scopeKey}:${clientSecret}:${env}`).digest('hex')
+async function generateAccessToken (params, imsEnv, options) {
+  return defaultClient.generateAccessToken(params, imsEnv, options)
 }
 
 /**
- * Invalidates the token cache
+ * Validates an access token with IMS, using the default client (results are briefly cached)
  *
- * @returns {void}
+ * @param {string} token - The access token to validate, e.g. from a caller Authorization header
+ * @param {object} params - Validation parameters
+ * @param {string} params.clientId - The client ID the token must have been issued to
+ * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses stage if __OW_NAMESPACE starts with 'development-', else prod
+ * @param {object} [options] - Options for this call
+ * @param {number} [options.timeout] - Timeout in ms, fails with IMS_TIMEOUT
+ * @param {AbortSignal} [options.signal] - Signal to cancel the call, fails with ABORTED
+ * @returns {Promise<{ valid: boolean, reason: string, claims: object }>} The validation result
+ * @throws {Error} MISSING_PARAMETERS, or IMS_VALIDATION_ERROR if IMS could not validate the token
  */
-function invalidateCache () {
-  tokenCache.clear()
+async function validateAccessToken (token, params, options) {
+  return defaultClient.validateAccessToken(token, params, options)
 }
 
 /**
- * Generates an access token for authentication (with caching)
+ * Revokes an access token with IMS, and removes it from the default client cache
  *
- * @param {object} params - Parameters for token generation
+ * @param {string} token - The access token to revoke
+ * @param {object|string} params - The client credentials the token was obtained with (an object, or a JSON or base64 encoded JSON string), or params holding them in __ims_oauth_s2s
  * @param {string} params.clientId - The client ID
- * @param {string} params.clientSecret - The client secret
+ * @param {string} [params.clientSecret] - The client secret, required unless privateKey is set
  * @param {string} params.orgId - The organization ID
- * @param {string[]} [params.scopes=[]] - Array of scopes to request
- * @param {string} [imsEnv] - The IMS environment ('prod' or 'stage'); when omitted or falsy, uses stage if __OW_NAMESPACE starts with 'development-', else prod
- * @returns {Promise<object>} Promise that resolves with the token response
- * @throws {Error} If there's an error getting the access token
+ * @param {string[]} [params.scopes=[]] - Array of scopes
+ * @param {string} [imsEnv] - The IMS environment ('prod', 'stage', or a registered environment); when omitted or falsy, uses stage if __OW_NAMESPACE starts with 'development-', else prod
+ * @param {object} [options] - Options for this call
+ * @param {number} [options.timeout] - Timeout in ms, fails with IMS_TIMEOUT
+ * @param {AbortSignal} [options.signal] - Signal to cancel the call, fails with ABORTED
+ * @param {string} [options.credentialName] - The name of the credentials among the named credentials of params.__ims_oauth_s2s; defaults to 'default'
+ * @returns {Promise<void>} Promise that resolves once IMS revoked the token
+ * @throws {Error} MISSING_PARAMETERS, or IMS_REVOKE_ERROR if IMS could not revoke the token
  */
-async function generateAccessToken (params, imsEnv) {
-  // integrate with the runtime environment and include-ims-credentials annotation
-  imsEnv = imsEnv || params?.[IMS_ENV_INPUT] || (ioRuntimeStageNamespace() ? 'stage' : 'prod')
-
-  let credentials
+async function revokeAccessToken (token, params, imsEnv, options) {
+  return defaultClient.revokeAccessToken(token, params, imsEnv, options)
+}
 
-  // get parameters from params in priority otherwise try to load the credentials set to params.__ims_oauth_s2s by the annotation
-  const fromParams = getAndValidateCredentials(params)
-  credentials = fromParams.credentials
-  if (fromParams.error) {
-    const fromAnnotation = getAndValidateCredentials(params?.[IMS_OAUTH_S2S_INPUT])
-    if (fromAnnotation.error) {
-      throw fromParams.error // still throw original error
-    }
-    credentials = fromAnnotation.credentials
-  }
+/**
+ * Resolves the credentials of a call like generateAccessToken, using the default client provider chain:
+ * the params, params.__ims_oauth_s2s set by the include-ims-credentials annotation, the IMS_CLIENT_ID,
+ * IMS_CLIENT_SECRET, IMS_ORG_ID and IMS_SCOPES environment variables, then the .env file
+ *
+ * @param {object|string} params - The call params, or credentials as a JSON or base64 encoded JSON string
+ * @param {object} [options] - Options for this call
+ * @param {string} [options.credentialName] - The name of the credentials among named credentials, e.g. of params.__ims_oauth_s2s
+ * @returns {Promise<{ credentials: object, provider: string }>} The validated credentials, and the name of the provider that supplied them: 'params', 'annotation', 'env' or 'file'
+ * @throws {Error} MISSING_PARAMETERS if no provider supplied credentials, or the error for invalid credentials
+ */
+async function resolveCredentials (params, options) {
+  return defaultClient.resolveCredentials(params, options)
+}
 
-  const credAndEnv = { ...credentials, env: imsEnv }
+/**
+ * Starts the authorization code flow with PKCE, using the default client
+ *
+ * @param {object} params - Authorization parameters
+ * @param {string} params.clientId - The client ID
+ * @param {string} params.redirectUri - Where IMS redirects the user with the code
+ * @param {string[]} [params.scopes=[]] - Array of scopes to request
+ * @param {string} [params.state] - The state, a random one is generated by default
+ * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses stage if __OW_NAMESPACE starts with 'development-', else prod
+ * @returns {{ url: string, state: string, codeVerifier: string, codeChallenge: string }} The URL to redirect the user to, keep the state and codeVerifier for exchangeAuthorizationCode
+ * @throws {Error} MISSING_PARAMETERS or BAD_SCOPES_FORMAT
+ */
+function createAuthorizationRequest (params) {
+  return defaultClient.createAuthorizationRequest(params)
+}
 
-  // Check cache first
-  const cacheKey = getCacheKey(credAndEnv)
-  const cachedToken = tokenCache.get(cacheKey)
-  if (cachedToken) {
-    return cachedToken
-  }
+/**
+ * Verifies the state of the redirect, then exchanges the authorization code for user tokens, using the default client
+ *
+ * @param {object} params - Parameters for the code exchange
+ * @param {string} params.clientId - The client ID
+ * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+ * @param {string} params.code - The code query parameter of the redirect
+ * @param {string} params.state - The state query parameter of the redirect
+ * @param {string} params.expectedState - The state of the authorization request
+ * @param {string} params.codeVerifier - The code verifier of the authorization request
+ * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment), must be the one of the authorization request
+ * @param {object} [options] - Options for this call
+ * @param {number} [options.timeout] - Timeout in ms, fails with IMS_TIMEOUT
+ * @param {AbortSignal} [options.signal] - Signal to cancel the call, fails with ABORTED
+ * @returns {Promise<object>} Promise that resolves with the token response, e.g. access_token and refresh_token
+ * @throws {Error} STATE_MISMATCH, MISSING_PARAMETERS, or IMS_TOKEN_ERROR if IMS rejects the code
+ */
+async function exchangeAuthorizationCode (params, options) {
+  return defaultClient.exchangeAuthorizationCode(params, options)
+}
 
-  // Get token from IMS
-  const token = await getAccessTokenByClientCredentials(credAndEnv)
+/**
+ * Gets new user tokens using a refresh token, using the default client. User tokens are not cached.
+ *
+ * @param {object} params - Parameters for the refresh
+ * @param {string} params.clientId - The client ID
+ * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+ * @param {string} params.refreshToken - The refresh token
+ * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses stage if __OW_NAMESPACE starts with 'development-', else prod
+ * @param {object} [options] - Options for this call
+ * @param {number} [options.timeout] - Timeout in ms, fails with IMS_TIMEOUT
+ * @param {AbortSignal} [options.signal] - Signal to cancel the call, fails with ABORTED
+ * @returns {Promise<object>} Promise that resolves with the token response, with a new refresh_token if IMS rotated it
+ * @throws {Error} MISSING_PARAMETERS, or IMS_TOKEN_ERROR if IMS rejects the refresh token
+ */
+async function refreshAccessToken (params, options) {
+  return defaultClient.refreshAccessToken(params, options)
+}
 
-  // Cache the token
-  tokenCache.set(cacheKey, token)
+/**
+ * Creates a user session, which keeps the current user tokens and refreshes them before they expire, using the default client.
+ * The session emits 'refresh' with the new tokens, 'refreshTokenRotated' with { refreshToken } when IMS
+ * rotates the refresh token, and 'refreshError' when a scheduled refresh fails.
+ *
+ * @param {object} params - Session parameters
+ * @param {string} params.clientId - The client ID
+ * @param {string} [params.clientSecret] - The client secret, omitted for public clients
+ * @param {object} params.tokens - The initial tokens, e.g. from exchangeAuthorizationCode, with an access_token and a refresh_token
+ * @param {string} [params.env] - The IMS environment ('prod', 'stage', or a registered environment); when omitted, uses stage if __OW_NAMESPACE starts with 'development-', else prod
+ * @param {number} [params.expiryMargin=300000] - The access token is refreshed this many ms before it expires, at most half its lifetime
+ * @param {boolean} [params.autoRefresh=true] - Set to false to only refresh when getAccessToken is called
+ * @returns {object} The session, an EventEmitter with getAccessToken(), refresh(), getTokens() and stop()
+ * @throws {Error} MISSING_PARAMETERS if clientId, or the access_token or refresh_token of the tokens, are missing
+ */
+function createUserSession (params) {
+  return defaultClient.createUserSession(params)
+}
 
-  return token
+/**
+ * Adds a listener for the lifecycle events of the default client: 'cacheHit', 'cacheMiss', 'tokenFetched',
+ * 'tokenFetchFailed' and 'cacheInvalidated', see createAuthClient for their payloads
+ *
+ * @param {string} event - The event name
+ * @param {Function} listener - Called with the event payload
+ * @returns {void}
+ */
+function on (event, listener) {
+  defaultClient.on(event, listener)
 }
 
-function ioRuntimeStageNamespace () {
-  return process.env.__OW_NAMESPACE && process.env.__OW_NAMESPACE.startsWith('development-')
+/**
+ * Removes a listener added with on
+ *
+ * @param {string} event - The event name
+ * @param {Function} listener - The listener to remove
+ * @returns {void}
+ */
+function off (event, listener) {
+  defaultClient.off(event, listener)
 }
 
 module.exports = {
+  createAuthClient,
+  createFileStore,
+  createStateStore,
+  getTokenInfo,
+  isTokenExpired,
   invalidateCache,
-  generateAccessToken
+  generateAccessToken,
+  validateAccessToken,
+  revokeAccessToken,
+  resolveCredentials,
+  createParamsProvider,
+  createAnnotationProvider,
+  createEnvProvider,
+  createFileProvider,
+  createAuthorizationRequest,
+  exchangeAuthorizationCode,
+  verifyState,
+  refreshAccessToken,
+  createUserSession,
+  registerImsEnvironment,
+  on,
+  off
 }
@@ -0,0 +1,153 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const crypto = require('crypto')
+const { codes } = require('./errors.js')
+
+// signed assertions are only used once, right away
+const ASSERTION_TTL = 5 * 60 // 5 minutes in seconds
+
+/**
+ * Parses a PEM private key, so that bad keys are reported before calling IMS
+ *
+ * @private
+ * @param {string} privateKey - The PEM encoded private key
+ * @returns {{ key: crypto.KeyObject, error: Error }} The key object, or the BAD_PRIVATE_KEY error
+ */
+function parsePrivateKey (privateKey) {
+  let key
+  try {
+    key = crypto.createPrivateKey(privateKey)
+  } catch (e) {
+    return { error: new codes.BAD_PRIVATE_KEY({ messageValues: e.message, sdkDetails: { reason: e.message } }) }
+  }
+  if (key.asymmetricKeyType !== 'rsa') {
+    const reason = `expected an RSA key, got ${key.asymmetricKeyType}`
+    return { error: new codes.BAD_PRIVATE_KEY({ messageValues: reason, sdkDetails: { reason } }) }
+  }
+  return { key, error: null }
+}
+
+/**
+ * Parses the PEM certificate of a private key, so that bad certificates are reported before calling IMS
+ *
+ * @private
+ * @param {string} certificate - The PEM encoded X.509 certificate
+ * @param {crypto.KeyObject} key - The private key the certificate must match
+ * @returns {{ error: Error }} The BAD_CERTIFICATE error, if any
+ */
+function parseCertificate (certificate, key) {
+  let x509
+  try {
+    x509 = new crypto.X509Certificate(certificate)
+  } catch (e) {
+    return { error: new codes.BAD_CERTIFICATE({ messageValues: e.message, sdkDetails: { reason: e.message } }) }
+  }
+  if (!x509.checkPrivateKey(key)) {
+    const reason = 'the certificate does not match the private key'
+    return { error: new codes.BAD_CERTIFICATE({ messageValues: reason, sdkDetails: { reason } }) }
+  }
+  return { error: null }
+}
+
+/**
+ * Gets the SHA-256 thumbprint of a certificate, sent as the x5t#S256 header so that IMS can tell which certificate signed
+ *
+ * @private
+ * @param {string} certificate - The PEM encoded X.509 certificate
+ * @returns {string} The base64url encoded thumbprint of the DER certificate
+ */
+function getCertificateThumbprint (certificate) {
+  return crypto.createHash('sha256').update(new crypto.X509Certificate(certificate).raw).digest('base64url')
+}
+
+/**
+ * Signs a JWT with RS256
+ *
+ * @private
+ * @param {object} claims - The JWT claims
+ * @param {crypto.KeyObject|string} privateKey - The RSA private key
+ * @param {object} [header] - Additional header fields, e.g. kid
+ * @returns {string} The signed JWT
+ */
+function signJwt (claims, privateKey, header = {}) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url')
+  const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', ...header })}.${encode(claims)}`
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url')
+  return `${signingInput}.${signature}`
+}
+
+/**
+ * Creates the signed assertion of the legacy JWT service account flow
+ *
+ * @private
+ * @param {object} params - The JWT credentials
+ * @param {string} params.clientId - The client ID
+ * @param {string} params.orgId - The organization ID
+ * @param {string} params.technicalAccountId - The technical account ID
+ * @param {string} params.privateKey - The PEM encoded RSA private key
+ * @param {string[]} params.metaScopes - The metascopes, e.g. 'ent_dataservices_sdk', or their full URLs
+ * @param {string} imsBaseUrl - The IMS base URL, the audience and metascope claims are built from it
+ * @returns {string} The signed JWT
+ */
+function createJwtAssertion ({ clientId, orgId, technicalAccountId, privateKey, metaScopes }, imsBaseUrl) {
+  const claims = {
+    exp: Math.floor(Date.now() / 1000) + ASSERTION_TTL,
+    iss: orgId,
+    sub: technicalAccountId,
+    aud: `${imsBaseUrl}/c/${clientId}`
+  }
+  metaScopes.forEach(metaScope => {
+    claims[metaScope.startsWith('https://') ? metaScope : `${imsBaseUrl}/s/${metaScope}`] = true
+  })
+  return signJwt(claims, privateKey)
+}
+
+/**
+ * Creates a client assertion (RFC 7523 private_key_jwt), authenticating the client instead of its client secret.
+ * Each assertion gets a fresh jti and exp, so that it cannot be replayed.
+ *
+ * @private
+ * @param {object} params - The client credentials
+ * @param {string} params.clientId - The client ID, the issuer and subject of the assertion
+ * @param {string} params.privateKey - The PEM encoded RSA private key
+ * @param {string} [params.keyId] - The key ID, sent as the kid header
+ * @param {string} [params.certificate] - The PEM encoded certificate of the private key, its thumbprint is sent as the x5t#S256 header
+ * @param {string} audience - The URL of the IMS endpoint the assertion is sent to
+ * @returns {string} The signed JWT
+ */
+function createClientAssertion ({ clientId, privateKey, keyId, certificate }, audience) {
+  const now = Math.floor(Date.now() / 1000)
+  const claims = {
+    iss: clientId,
+    sub: clientId,
+    aud: audience,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + ASSERTION_TTL
+  }
+  const header = {}
+  if (keyId) {
+    header.kid = keyId
+  }
+  if (certificate) {
+    header['x5t#S256'] = getCertificateThumbprint(certificate)
+  }
+  return signJwt(claims, privateKey, header)
+}
+
+module.exports = {
+  parsePrivateKey,
+  parseCertificate,
+  signJwt,
+  createJwtAssertion,
+  createClientAssertion
+}
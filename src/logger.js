@@ -0,0 +1,86 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// enabled with DEBUG=aio-lib-core-auth* and LOG_LEVEL=debug (or AIO_LOG_LEVEL=debug)
+const aioLogger = require('@adobe/aio-lib-core-logging')('aio-lib-core-auth', { provider: 'debug', level: process.env.LOG_LEVEL })
+
+const REDACTED = '[REDACTED]'
+
+// keys holding secrets, compared lowercased without '_' and '-'
+const SECRET_KEYS = new Set([
+  'clientsecret',
+  'privatekey',
+  'accesstoken',
+  'refreshtoken',
+  'idtoken',
+  'token',
+  'clientassertion',
+  'jwttoken',
+  'code',
+  'codeverifier',
+  'authorization',
+  'password'
+])
+
+// secrets found inside strings, e.g. in error messages or URLs
+const SECRET_PATTERNS = [
+  // JWTs: access tokens and signed assertions
+  [/eyJ[\w-]*\.[\w-]*\.[\w-]*/g, REDACTED],
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, REDACTED],
+  // Adobe client secrets
+  [/\bp8e-[\w-]+/g, REDACTED],
+  // form and query parameters
+  [/\b(client_secret|access_token|refresh_token|id_token|client_assertion|jwt_token|code_verifier|code|token)=[^&\s"]*/g, `$1=${REDACTED}`]
+]
+
+/**
+ * Masks the secrets in a value: client secrets, private keys, tokens and assertions, by key in objects and by pattern in strings
+ *
+ * @private
+ * @param {*} value - The value, e.g. log details
+ * @param {string} [key] - The key of the value in its parent object
+ * @returns {*} A redacted copy of the value
+ */
+function redact (value, key) {
+  if (key !== undefined && SECRET_KEYS.has(key.toLowerCase().replace(/[_-]/g, ''))) {
+    return REDACTED
+  }
+  if (typeof value === 'string') {
+    return SECRET_PATTERNS.reduce((str, [pattern, replacement]) => str.replace(pattern, replacement), value)
+  }
+  if (value instanceof URLSearchParams) {
+    return redact(Object.fromEntries(value))
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item))
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]))
+  }
+  return value
+}
+
+/**
+ * Logs a debug message, with structured details. Every log line goes through the redactor.
+ *
+ * @private
+ * @param {string} message - The message
+ * @param {object} details - The details, logged as JSON
+ */
+function debug (message, details) {
+  aioLogger.debug(redact(`${message} ${JSON.stringify(redact(details))}`))
+}
+
+module.exports = {
+  aioLogger,
+  redact,
+  debug
+}
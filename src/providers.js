@@ -0,0 +1,192 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs/promises')
+const { selectNamedCredentials } = require('./ims.js')
+
+/**
+ * A credential provider, one of the sources of credentials the auth client goes through in order.
+ *
+ * @typedef {object} CredentialProvider
+ * @property {string} name - The provider name, reported with the credentials it supplied
+ * @property {function(object, object): Promise<object|string|undefined>} getCredentials - Called with the call params
+ * and { credentialName }, resolves with the credentials, or undefined if its source has none. Rejects if its source
+ * is meant to hold credentials but cannot be read, e.g. invalid JSON.
+ */
+
+// include-ims-credentials annotation input key (keep in sync with src/constants.js)
+const IMS_OAUTH_S2S_INPUT = '__ims_oauth_s2s'
+
+// environment variables holding credentials, and the credential each one holds
+const CREDENTIAL_VARIABLES = new Map([
+  ['IMS_CLIENT_ID', 'clientId'],
+  ['IMS_CLIENT_SECRET', 'clientSecret'],
+  ['IMS_ORG_ID', 'orgId'],
+  ['IMS_SCOPES', 'scopes']
+])
+
+const DEFAULT_CREDENTIALS_FILE = '.env'
+
+/**
+ * Gets credentials from IMS_CLIENT_ID, IMS_CLIENT_SECRET, IMS_ORG_ID and IMS_SCOPES variables
+ *
+ * @private
+ * @param {object} variables - The variables, e.g. process.env
+ * @returns {object|undefined} The credentials, scopes are comma separated, undefined if none of the variables is set
+ */
+function getVariableCredentials (variables) {
+  const credentials = {}
+  for (const [variable, key] of CREDENTIAL_VARIABLES) {
+    if (variables[variable]) {
+      credentials[key] = variables[variable]
+    }
+  }
+  if (Object.keys(credentials).length === 0) {
+    return undefined
+  }
+  if (credentials.scopes) {
+    credentials.scopes = credentials.scopes.split(',').map(scope => scope.trim()).filter(Boolean)
+  }
+  return credentials
+}
+
+/**
+ * Parses the content of a .env file: KEY=value lines, with optional quotes, export prefixes and comments
+ *
+ * @private
+ * @param {string} content - The file content
+ * @returns {object} The variables
+ */
+function parseDotenv (content) {
+  const variables = {}
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/)
+    if (match) {
+      const [, key, rawValue] = match
+      const quoted = rawValue.match(/^(["'])(.*)\1\s*(?:#.*)?$/)
+      variables[key] = quoted
+        ? (quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2])
+        : rawValue.replace(/\s+#.*$/, '').trim()
+    }
+  }
+  return variables
+}
+
+/**
+ * Creates a provider of the credentials passed as the call params, as long as no credentialName is set
+ *
+ * @returns {CredentialProvider} The params provider, named 'params'
+ */
+function createParamsProvider () {
+  return {
+    name: 'params',
+    async getCredentials (params, { credentialName } = {}) {
+      // named credentials are only looked up in the annotation and JSON files
+      return credentialName ? undefined : params
+    }
+  }
+}
+
+/**
+ * Creates a provider of the credentials set in params.__ims_oauth_s2s by the include-ims-credentials annotation.
+ * The annotation can hold named credentials, e.g. { default: {...}, analytics: {...} }, selected by credentialName.
+ *
+ * @returns {CredentialProvider} The annotation provider, named 'annotation'
+ */
+function createAnnotationProvider () {
+  return {
+    name: 'annotation',
+    async getCredentials (params, { credentialName } = {}) {
+      const annotation = params?.[IMS_OAUTH_S2S_INPUT]
+      if (annotation === undefined) {
+        return undefined
+      }
+      const { params: credentials, error } = selectNamedCredentials(annotation, credentialName)
+      if (error) {
+        throw error
+      }
+      return credentials
+    }
+  }
+}
+
+/**
+ * Creates a provider of the credentials set in the IMS_CLIENT_ID, IMS_CLIENT_SECRET, IMS_ORG_ID and IMS_SCOPES
+ * (comma separated) environment variables, as long as no credentialName is set
+ *
+ * @param {object} [options] - Provider options
+ * @param {object} [options.env=process.env] - The environment variables
+ * @returns {CredentialProvider} The environment provider, named 'env'
+ */
+function createEnvProvider ({ env = process.env } = {}) {
+  return {
+    name: 'env',
+    async getCredentials (params, { credentialName } = {}) {
+      return credentialName ? undefined : getVariableCredentials(env)
+    }
+  }
+}
+
+/**
+ * Creates a provider of the credentials in a file, read on each call. A .json file holds credentials, or named
+ * credentials selected by credentialName, like the annotation. Other files are .env files, with the same variables
+ * as the environment provider.
+ *
+ * @param {object} [options] - Provider options
+ * @param {string} [options.path='.env'] - The file path, relative to the working directory
+ * @returns {CredentialProvider} The file provider, named 'file'
+ */
+function createFileProvider ({ path = DEFAULT_CREDENTIALS_FILE } = {}) {
+  const isJson = path.endsWith('.json')
+  return {
+    name: 'file',
+    async getCredentials (params, { credentialName } = {}) {
+      if (credentialName && !isJson) {
+        return undefined
+      }
+      let content
+      try {
+        content = await fs.readFile(path, 'utf8')
+      } catch (e) {
+        if (e.code === 'ENOENT') {
+          return undefined
+        }
+        throw e
+      }
+      if (!isJson) {
+        return getVariableCredentials(parseDotenv(content))
+      }
+      const { params: credentials, error } = selectNamedCredentials(content, credentialName)
+      if (error) {
+        throw error
+      }
+      return credentials
+    }
+  }
+}
+
+/**
+ * Creates the default provider chain: the params, the annotation, the environment variables, then the .env file
+ *
+ * @private
+ * @returns {CredentialProvider[]} The providers, in order
+ */
+function createDefaultProviders () {
+  return [createParamsProvider(), createAnnotationProvider(), createEnvProvider(), createFileProvider()]
+}
+
+module.exports = {
+  createParamsProvider,
+  createAnnotationProvider,
+  createEnvProvider,
+  createFileProvider,
+  createDefaultProviders
+}
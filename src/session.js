@@ -0,0 +1,196 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { EventEmitter } = require('events')
+const { getTokenInfo } = require('./token.js')
+const { codes } = require('./errors.js')
+
+const DEFAULT_EXPIRY_MARGIN = 5 * 60 * 1000 // 5 minutes in milliseconds
+// setTimeout fires right away for longer delays
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+
+/**
+ * A user session, keeping the current user tokens and refreshing them before they expire.
+ *
+ * Events:
+ * - 'refresh' (tokens): the tokens were refreshed
+ * - 'refreshTokenRotated' ({ refreshToken }): IMS returned a new refresh token, persist it to resume the session later
+ * - 'refreshError' (error): a scheduled refresh failed, the next getAccessToken call tries again
+ *
+ * @typedef {object} UserSession
+ * @property {function(): Promise<string>} getAccessToken - Resolves with the current access token, refreshed first if it expires within the margin
+ * @property {function(): Promise<object>} refresh - Refreshes the tokens now, resolves with the new tokens
+ * @property {function(): object} getTokens - Returns the current tokens
+ * @property {function(): void} stop - Cancels the scheduled refresh
+ * @property {Function} on - Adds an event listener, see EventEmitter
+ */
+
+/**
+ * Gets when the tokens expire, from expires_at, else from the access token claims
+ *
+ * @private
+ * @param {object} tokens - The token response
+ * @returns {number|null} The expiry in ms since epoch, null if unknown
+ */
+function getExpiresAt (tokens) {
+  if (Number.isFinite(tokens.expires_at)) {
+    return tokens.expires_at
+  }
+  try {
+    return getTokenInfo(tokens.access_token).expiresAt?.getTime() ?? null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Gets how long the access token lives, from expires_in
+ *
+ * @private
+ * @param {object} tokens - The token response
+ * @returns {number|null} The lifetime in ms, null if unknown
+ */
+function getLifetime (tokens) {
+  return Number.isFinite(tokens.expires_in) ? tokens.expires_in * 1000 : null
+}
+
+/**
+ * Creates a user session
+ *
+ * @private
+ * @param {object} params - Session parameters
+ * @param {object} params.tokens - The initial tokens, e.g. from exchangeAuthorizationCode, with an access_token and a refresh_token
+ * @param {number} [params.expiryMargin=300000] - The access token is refreshed this many ms before it expires, at most half its lifetime
+ * @param {boolean} [params.autoRefresh=true] - Set to false to only refresh when getAccessToken is called
+ * @param {function(string): Promise<object>} refreshTokens - Gets new tokens from a refresh token
+ * @returns {UserSession} The session
+ * @throws {Error} MISSING_PARAMETERS if the tokens have no access_token or refresh_token
+ */
+function createUserSession ({ tokens, expiryMargin = DEFAULT_EXPIRY_MARGIN, autoRefresh = true } = {}, refreshTokens) {
+  const missingParams = []
+  if (!tokens?.access_token) {
+    missingParams.push('tokens.access_token')
+  }
+  if (!tokens?.refresh_token) {
+    missingParams.push('tokens.refresh_token')
+  }
+  if (missingParams.length > 0) {
+    throw new codes.MISSING_PARAMETERS({
+      messageValues: missingParams.join(', '),
+      sdkDetails: { tokensType: typeof tokens }
+    })
+  }
+
+  const session = new EventEmitter()
+  let currentTokens = tokens
+  let pendingRefresh = null
+  let timer = null
+  let stopped = false
+
+  /**
+   * Gets the expiry margin of the current tokens, at most half their lifetime so that tokens living shorter than
+   * the margin are not refreshed as soon as they are received
+   *
+   * @private
+   * @returns {number} The margin in ms
+   */
+  function getExpiryMargin () {
+    const lifetime = getLifetime(currentTokens)
+    return lifetime === null ? expiryMargin : Math.min(expiryMargin, lifetime / 2)
+  }
+
+  /**
+   * Tells whether the access token expires within the margin, tokens with an unknown expiry are refreshed
+   *
+   * @private
+   * @returns {boolean} true if the access token must be refreshed
+   */
+  function needsRefresh () {
+    const expiresAt = getExpiresAt(currentTokens)
+    return expiresAt === null || expiresAt - getExpiryMargin() <= Date.now()
+  }
+
+  /**
+   * Schedules the next refresh, within the margin before the access token expiry
+   *
+   * @private
+   */
+  function scheduleRefresh () {
+    clearTimeout(timer)
+    const expiresAt = getExpiresAt(currentTokens)
+    if (!autoRefresh || stopped || expiresAt === null) {
+      return
+    }
+    const delay = Math.min(Math.max(expiresAt - getExpiryMargin() - Date.now(), 0), MAX_TIMER_DELAY)
+    timer = setTimeout(() => {
+      session.refresh().catch(error => session.emit('refreshError', error))
+    }, delay)
+    // a pending refresh must not keep the process alive
+    timer.unref()
+  }
+
+  /**
+   * @returns {Promise<object>} The new tokens
+   */
+  session.refresh = function refresh () {
+    // concurrent callers share the same refresh, a refresh token can only be used once when IMS rotates it
+    if (!pendingRefresh) {
+      pendingRefresh = (async () => {
+        const previousRefreshToken = currentTokens.refresh_token
+        const newTokens = await refreshTokens(previousRefreshToken)
+        // IMS only returns a refresh token when it rotates it
+        currentTokens = { ...newTokens, refresh_token: newTokens.refresh_token || previousRefreshToken }
+        scheduleRefresh()
+
+        session.emit('refresh', currentTokens)
+        if (currentTokens.refresh_token !== previousRefreshToken) {
+          session.emit('refreshTokenRotated', { refreshToken: currentTokens.refresh_token })
+        }
+        return currentTokens
+      })().finally(() => {
+        pendingRefresh = null
+      })
+    }
+    return pendingRefresh
+  }
+
+  /**
+   * @returns {Promise<string>} The current access token
+   */
+  session.getAccessToken = async function getAccessToken () {
+    if (needsRefresh()) {
+      await session.refresh()
+    }
+    return currentTokens.access_token
+  }
+
+  /**
+   * @returns {object} The current tokens
+   */
+  session.getTokens = function getTokens () {
+    return currentTokens
+  }
+
+  /**
+   * @returns {void}
+   */
+  session.stop = function stop () {
+    stopped = true
+    clearTimeout(timer)
+  }
+
+  scheduleRefresh()
+  return session
+}
+
+module.exports = {
+  createUserSession
+}
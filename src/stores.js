@@ -0,0 +1,119 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * A token store, used by the auth client to share tokens beyond the process memory.
+ * Keys are the cache key hashes computed by the client, values are token responses.
+ *
+ * @typedef {object} TokenStore
+ * @property {function(string): Promise<object|undefined>} get - Resolves with the stored value, or undefined if missing or expired
+ * @property {function(string, object, number): Promise<void>} set - Stores a value for the given TTL in ms
+ * @property {function(string): Promise<void>} delete - Removes a value
+ */
+
+const DEFAULT_FILE_STORE_DIR = path.join(os.tmpdir(), 'aio-lib-core-auth')
+const DEFAULT_STATE_KEY_PREFIX = 'aio-lib-core-auth.'
+
+/**
+ * Creates a token store that keeps each entry in a JSON file
+ *
+ * @param {object} [options] - Store options
+ * @param {string} [options.dir] - The directory holding the entries, defaults to <os tmpdir>/aio-lib-core-auth
+ * @returns {TokenStore} The file store
+ */
+function createFileStore ({ dir = DEFAULT_FILE_STORE_DIR } = {}) {
+  const entryPath = (key) => path.join(dir, `${key}.json`)
+
+  /**
+   * @param {string} key - The entry key
+   * @returns {Promise<object|undefined>} The stored value, if any and not expired
+   */
+  async function get (key) {
+    let entry
+    try {
+      entry = JSON.parse(await fs.readFile(entryPath(key), 'utf8'))
+    } catch (e) {
+      // missing or unreadable entries are cache misses
+      return undefined
+    }
+    if (!(entry.expiresAt > Date.now())) {
+      await del(key)
+      return undefined
+    }
+    return entry.value
+  }
+
+  /**
+   * @param {string} key - The entry key
+   * @param {object} value - The value to store
+   * @param {number} ttl - Time to live in ms
+   * @returns {Promise<void>}
+   */
+  async function set (key, value, ttl) {
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 })
+    // write to a temp file and rename it, so that concurrent readers never see a partial entry
+    const tmpPath = `${entryPath(key)}.${crypto.randomUUID()}.tmp`
+    await fs.writeFile(tmpPath, JSON.stringify({ value, expiresAt: Date.now() + ttl }), { mode: 0o600 })
+    await fs.rename(tmpPath, entryPath(key))
+  }
+
+  /**
+   * @param {string} key - The entry key
+   * @returns {Promise<void>}
+   */
+  async function del (key) {
+    await fs.rm(entryPath(key), { force: true })
+  }
+
+  return { get, set, delete: del }
+}
+
+/**
+ * Creates a token store on top of an aio-lib-state style key/value store,
+ * i.e. an object with async get(key) => { value }, put(key, value, { ttl }) with ttl in seconds, and delete(key)
+ *
+ * @param {object} state - The key/value store, e.g. the result of `await require('@adobe/aio-lib-state').init()`
+ * @param {object} [options] - Store options
+ * @param {string} [options.keyPrefix='aio-lib-core-auth.'] - Prefix added to all keys
+ * @returns {TokenStore} The state store adapter
+ */
+function createStateStore (state, { keyPrefix = DEFAULT_STATE_KEY_PREFIX } = {}) {
+  return {
+    async get (key) {
+      const res = await state.get(keyPrefix + key)
+      if (!res || typeof res.value !== 'string') {
+        return undefined
+      }
+      return JSON.parse(res.value)
+    },
+    async set (key, value, ttl) {
+      // state TTLs are in seconds, round down so that entries never outlive the token
+      const ttlSeconds = Math.floor(ttl / 1000)
+      if (ttlSeconds < 1) {
+        return
+      }
+      await state.put(keyPrefix + key, JSON.stringify(value), { ttl: ttlSeconds })
+    },
+    async delete (key) {
+      await state.delete(keyPrefix + key)
+    }
+  }
+}
+
+module.exports = {
+  createFileStore,
+  createStateStore
+}
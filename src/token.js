@@ -0,0 +1,139 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { codes } = require('./errors.js')
+
+/**
+ * Access token information, decoded from the IMS JWT claims
+ *
+ * @typedef {object} TokenInfo
+ * @property {string} type - The token type claim, e.g. 'access_token'
+ * @property {string} clientId - The client_id claim
+ * @property {string} userId - The user_id claim
+ * @property {string} orgId - The org claim, when present
+ * @property {string} as - The authorization server claim, e.g. 'ims-na1'
+ * @property {string[]} scopes - The scope claim, as an array
+ * @property {Date|null} createdAt - When the token was created
+ * @property {number|null} expiresIn - The token lifetime in ms
+ * @property {Date|null} expiresAt - When the token expires, computed from createdAt and expiresIn
+ * @property {object} claims - All the decoded claims
+ */
+
+/**
+ * Gets the access token string from either a token string or a token response
+ *
+ * @private
+ * @param {string|object} token - The access token, or a token response with an access_token
+ * @returns {string} The access token
+ */
+function getAccessTokenString (token) {
+  if (typeof token === 'object' && token !== null) {
+    return token.access_token
+  }
+  return token
+}
+
+/**
+ * Parses a numeric claim, IMS sends created_at and expires_in as strings
+ *
+ * @private
+ * @param {string|number} value - The claim value
+ * @returns {number|null} The number, or null if the claim is missing or not a number
+ */
+function parseNumericClaim (value) {
+  const number = Number(value)
+  return value === undefined || value === null || value === '' || Number.isNaN(number) ? null : number
+}
+
+/**
+ * Decodes the claims of an IMS JWT access token, without verifying its signature
+ *
+ * @private
+ * @param {string} accessToken - The access token
+ * @returns {object} The decoded claims
+ * @throws {Error} BAD_TOKEN_FORMAT if the token is not a JWT
+ */
+function decodeClaims (accessToken) {
+  const badFormat = (reason) => new codes.BAD_TOKEN_FORMAT({
+    messageValues: reason,
+    sdkDetails: { reason, tokenType: typeof accessToken }
+  })
+
+  if (typeof accessToken !== 'string') {
+    throw badFormat('token must be a string')
+  }
+  const parts = accessToken.split('.')
+  if (parts.length !== 3) {
+    throw badFormat('token must have 3 dot-separated parts')
+  }
+
+  let claims
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'))
+  } catch (e) {
+    throw badFormat('token payload is not valid JSON')
+  }
+  if (typeof claims !== 'object' || claims === null || Array.isArray(claims)) {
+    throw badFormat('token payload is not an object')
+  }
+  return claims
+}
+
+/**
+ * Decodes an IMS access token locally, without any network call.
+ * The signature is not verified, use this to inspect tokens, not to trust them.
+ *
+ * @param {string|object} accessToken - The access token, or a token response with an access_token
+ * @returns {TokenInfo} The token information
+ * @throws {Error} BAD_TOKEN_FORMAT if the token is not a JWT
+ */
+function getTokenInfo (accessToken) {
+  const claims = decodeClaims(getAccessTokenString(accessToken))
+
+  const createdAt = parseNumericClaim(claims.created_at)
+  const expiresIn = parseNumericClaim(claims.expires_in)
+  const hasExpiry = createdAt !== null && expiresIn !== null
+
+  return {
+    type: claims.type,
+    clientId: claims.client_id,
+    userId: claims.user_id,
+    orgId: claims.org,
+    as: claims.as,
+    scopes: typeof claims.scope === 'string' && claims.scope.length > 0 ? claims.scope.split(',') : [],
+    createdAt: createdAt !== null ? new Date(createdAt) : null,
+    expiresIn,
+    expiresAt: hasExpiry ? new Date(createdAt + expiresIn) : null,
+    claims
+  }
+}
+
+/**
+ * Checks whether an IMS access token is expired, based on its created_at and expires_in claims.
+ * Tokens without these claims are considered expired.
+ *
+ * @param {string|object} accessToken - The access token, or a token response with an access_token
+ * @param {number} [skewMs=0] - Consider the token expired this many ms before its actual expiry
+ * @returns {boolean} true if the token is expired
+ * @throws {Error} BAD_TOKEN_FORMAT if the token is not a JWT
+ */
+function isTokenExpired (accessToken, skewMs = 0) {
+  const { expiresAt } = getTokenInfo(accessToken)
+  if (!expiresAt) {
+    return true
+  }
+  return expiresAt.getTime() - skewMs <= Date.now()
+}
+
+module.exports = {
+  getTokenInfo,
+  isTokenExpired
+}
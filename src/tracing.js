@@ -0,0 +1,93 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { name: TRACER_NAME, version: TRACER_VERSION } = require('../package.json')
+
+// used when @opentelemetry/api is not installed
+const NOOP_SPAN = {
+  setAttribute () {},
+  setAttributes () {}
+}
+
+/**
+ * Loads the OpenTelemetry API, an optional peer dependency
+ *
+ * @private
+ * @param {Function} [load=require] - Loads a module
+ * @returns {object|null} The OpenTelemetry API, null if it is not installed
+ */
+function loadOpenTelemetry (load = require) {
+  try {
+    return load('@opentelemetry/api')
+  } catch (e) {
+    return null
+  }
+}
+
+const otel = loadOpenTelemetry()
+
+/**
+ * Sets the attributes of an IMS response on a span
+ *
+ * @private
+ * @param {object} span - The span
+ * @param {object} details - The response details, or the sdkDetails of an AuthSDKError
+ * @param {number} [details.statusCode] - The HTTP status
+ * @param {string} [details.xDebugId] - The x-debug-id response header, to report issues to IMS
+ * @param {number} [details.attempts] - The number of attempts, retries included
+ */
+function setImsAttributes (span, { statusCode, xDebugId, attempts } = {}) {
+  if (statusCode) {
+    span.setAttribute('http.response.status_code', statusCode)
+  }
+  if (xDebugId) {
+    span.setAttribute('aio.auth.x_debug_id', xDebugId)
+  }
+  if (attempts) {
+    span.setAttribute('aio.auth.retry_count', attempts - 1)
+  }
+}
+
+/**
+ * Runs a function in an active span, ended when the function settles. Failures are recorded as exceptions,
+ * with the AuthSDKError code and the IMS response attributes. The function gets a no-op span when
+ * @opentelemetry/api is not installed, spans are no-ops too when no tracer provider is registered.
+ *
+ * @private
+ * @param {string} name - The span name
+ * @param {object} attributes - The initial span attributes
+ * @param {function(object): Promise<*>} fn - The function, called with the span
+ * @param {object|null} [api] - The OpenTelemetry API, defaults to the installed one
+ * @returns {Promise<*>} The function result
+ */
+async function withSpan (name, attributes, fn, api = otel) {
+  if (!api) {
+    return fn(NOOP_SPAN)
+  }
+  const tracer = api.trace.getTracer(TRACER_NAME, TRACER_VERSION)
+  return tracer.startActiveSpan(name, { attributes }, (span) => fn(span)
+    .catch((error) => {
+      span.recordException(error)
+      if (error.code) {
+        span.setAttribute('aio.auth.error_code', error.code)
+      }
+      setImsAttributes(span, error.sdkDetails)
+      span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message })
+      throw error
+    })
+    .finally(() => span.end()))
+}
+
+module.exports = {
+  loadOpenTelemetry,
+  setImsAttributes,
+  withSpan
+}
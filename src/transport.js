@@ -0,0 +1,106 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const tls = require('tls')
+const { Agent, ProxyAgent } = require('undici')
+
+// dispatchers are shared by all clients with the same settings, so that connections are reused
+const dispatchers = new Map()
+
+/**
+ * Tells whether a host is excluded from proxying by a NO_PROXY list
+ *
+ * @private
+ * @param {string} hostname - The request host name
+ * @param {string} port - The request port
+ * @param {string} [noProxy] - Comma or space separated entries: '*', host names or domains, with an optional port
+ * @returns {boolean} true if the request must not go through the proxy
+ */
+function isNoProxy (hostname, port, noProxy) {
+  if (!noProxy) {
+    return false
+  }
+  hostname = hostname.toLowerCase()
+  return noProxy.toLowerCase().split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') {
+      return true
+    }
+    const [entryHost, entryPort] = entry.split(':')
+    if (entryPort && entryPort !== port) {
+      return false
+    }
+    // '.example.com' and '*.example.com' match example.com and its subdomains, like 'example.com'
+    const domain = entryHost.replace(/^\*?\./, '')
+    return hostname === domain || hostname.endsWith(`.${domain}`)
+  })
+}
+
+/**
+ * Gets the proxy URL for a request, from the proxy option or the standard proxy environment variables
+ *
+ * @private
+ * @param {string} url - The request URL
+ * @param {string|boolean} [proxy] - The proxy URL, or false to ignore the proxy environment variables
+ * @returns {string|undefined} The proxy URL, undefined if the request goes direct
+ */
+function getProxyUrl (url, proxy) {
+  if (proxy === false) {
+    return undefined
+  }
+  const { env } = process
+  const { protocol, hostname, port } = new URL(url)
+  const proxyUrl = proxy || (protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy
+    : env.HTTP_PROXY || env.http_proxy)
+  const requestPort = port || (protocol === 'https:' ? '443' : '80')
+  if (!proxyUrl || isNoProxy(hostname, requestPort, env.NO_PROXY || env.no_proxy)) {
+    return undefined
+  }
+  return proxyUrl
+}
+
+/**
+ * Gets the undici dispatcher for an IMS request: the dispatcher option, else a proxy agent if the request is proxied,
+ * else an agent if extra CA certificates or a keep-alive timeout are set.
+ *
+ * @private
+ * @param {string} url - The request URL
+ * @param {object} [options] - Transport options
+ * @param {object} [options.dispatcher] - An undici dispatcher, used as is
+ * @param {string|boolean} [options.proxy] - The proxy URL, defaults to the HTTPS_PROXY or HTTP_PROXY environment variable, false disables proxying
+ * @param {string|Buffer|Array<string|Buffer>} [options.ca] - Extra PEM CA certificates, trusted on top of the Node.js root certificates
+ * @param {number} [options.keepAliveTimeout] - How long in ms idle connections are kept open
+ * @returns {object|undefined} The dispatcher, undefined to use the fetch default
+ */
+function getDispatcher (url, { dispatcher, proxy, ca, keepAliveTimeout } = {}) {
+  if (dispatcher) {
+    return dispatcher
+  }
+  const proxyUrl = getProxyUrl(url, proxy)
+  if (!proxyUrl && !ca && !keepAliveTimeout) {
+    return undefined
+  }
+
+  const extraCa = ca ? [].concat(ca).map(String) : []
+  const key = JSON.stringify([proxyUrl, extraCa, keepAliveTimeout])
+  if (!dispatchers.has(key)) {
+    const connect = extraCa.length > 0 ? { ca: [...tls.rootCertificates, ...extraCa] } : undefined
+    const agentOptions = keepAliveTimeout ? { keepAliveTimeout } : {}
+    dispatchers.set(key, proxyUrl
+      ? new ProxyAgent({ ...agentOptions, uri: proxyUrl, requestTls: connect, proxyTls: connect })
+      : new Agent({ ...agentOptions, connect }))
+  }
+  return dispatchers.get(key)
+}
+
+module.exports = {
+  getDispatcher
+}
@@ -0,0 +1,206 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import crypto from 'crypto'
+import { createAuthClient, createAuthorizationRequest, exchangeAuthorizationCode, verifyState } from '../src/index.js'
+import { createMockHeaders } from './helpers.mjs'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const authorizationParams = {
+  clientId: 'test-client-id',
+  redirectUri: 'https://example.com/callback',
+  scopes: ['openid', 'AdobeID']
+}
+
+describe('createAuthorizationRequest', () => {
+  test('is a function', () => {
+    expect(typeof createAuthorizationRequest).toBe('function')
+  })
+
+  test('builds the IMS authorize URL with PKCE', () => {
+    const { url, state, codeVerifier, codeChallenge } = createAuthorizationRequest(authorizationParams)
+
+    const parsed = new URL(url)
+    expect(parsed.origin + parsed.pathname).toBe('https://ims-na1.adobelogin.com/ims/authorize/v2')
+    expect(Object.fromEntries(parsed.searchParams)).toEqual({
+      client_id: 'test-client-id',
+      redirect_uri: 'https://example.com/callback',
+      response_type: 'code',
+      scope: 'openid,AdobeID',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    })
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/)
+    expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'))
+    expect(state).toMatch(/^[A-Za-z0-9_-]{43}$/)
+  })
+
+  test('generates a new state and code verifier for each request', () => {
+    const request1 = createAuthorizationRequest(authorizationParams)
+    const request2 = createAuthorizationRequest(authorizationParams)
+    expect(request1.state).not.toBe(request2.state)
+    expect(request1.codeVerifier).not.toBe(request2.codeVerifier)
+  })
+
+  test('uses the given state and env, and omits empty scopes', () => {
+    const { url, state } = createAuthorizationRequest({ ...authorizationParams, scopes: undefined, state: 'my-state', env: 'stage' })
+    const parsed = new URL(url)
+    expect(parsed.origin).toBe('https://ims-na1-stg1.adobelogin.com')
+    expect(parsed.searchParams.get('state')).toBe('my-state')
+    expect(parsed.searchParams.has('scope')).toBe(false)
+    expect(state).toBe('my-state')
+  })
+
+  test('uses the client env and IMS URL overrides', () => {
+    const client = createAuthClient({ env: 'stage', imsUrls: { stage: 'https://ims.example.com' } })
+    const { url } = client.createAuthorizationRequest(authorizationParams)
+    expect(url.startsWith('https://ims.example.com/ims/authorize/v2?')).toBe(true)
+  })
+
+  test('throws MISSING_PARAMETERS without clientId or redirectUri', () => {
+    expect(() => createAuthorizationRequest()).toThrow('Missing required parameters: clientId, redirectUri')
+  })
+
+  test('throws BAD_SCOPES_FORMAT when scopes is not an array', () => {
+    expect(() => createAuthorizationRequest({ ...authorizationParams, scopes: 'openid' })).toThrow('BAD_SCOPES_FORMAT')
+  })
+})
+
+describe('verifyState', () => {
+  test('accepts the expected state', () => {
+    expect(() => verifyState('some-state', 'some-state')).not.toThrow()
+  })
+
+  test.each([
+    ['different states', 'some-state', 'other-state'],
+    ['different lengths', 'some-state', 'some-state-2'],
+    ['a missing state', undefined, 'some-state'],
+    ['a missing expected state', 'some-state', undefined],
+    ['empty states', '', ''],
+    ['a non string state', ['some-state'], 'some-state']
+  ])('throws STATE_MISMATCH for %s', (_, state, expectedState) => {
+    let error
+    try {
+      verifyState(state, expectedState)
+    } catch (e) {
+      error = e
+    }
+    expect(error.name).toBe('AuthSDKError')
+    expect(error.code).toBe('STATE_MISMATCH')
+    expect(JSON.stringify(error.sdkDetails)).not.toContain('some-state')
+  })
+})
+
+describe('exchangeAuthorizationCode', () => {
+  const exchangeParams = {
+    clientId: 'test-client-id',
+    clientSecret: 'test-client-secret',
+    code: 'test-code',
+    state: 'test-state',
+    expectedState: 'test-state',
+    codeVerifier: 'test-code-verifier'
+  }
+
+  const userTokenResponse = {
+    access_token: 'user-access-token',
+    refresh_token: 'user-refresh-token',
+    token_type: 'bearer',
+    expires_in: 86399
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify(userTokenResponse)
+    })
+  })
+
+  test('is a function', () => {
+    expect(typeof exchangeAuthorizationCode).toBe('function')
+  })
+
+  test('exchanges the code for tokens at /ims/token/v3', async () => {
+    const result = await exchangeAuthorizationCode(exchangeParams)
+    expect(result).toEqual({ ...userTokenResponse, expires_at: expect.any(Number) })
+
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1.adobelogin.com/ims/token/v3')
+    const body = new URLSearchParams(fetch.mock.calls[0][1].body)
+    expect(Object.fromEntries(body)).toEqual({
+      grant_type: 'authorization_code',
+      client_id: 'test-client-id',
+      client_secret: 'test-client-secret',
+      code: 'test-code',
+      code_verifier: 'test-code-verifier'
+    })
+  })
+
+  test('omits the client secret for public clients', async () => {
+    await exchangeAuthorizationCode({ ...exchangeParams, clientSecret: undefined, env: 'stage' })
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/token/v3')
+    const body = new URLSearchParams(fetch.mock.calls[0][1].body)
+    expect(body.has('client_secret')).toBe(false)
+  })
+
+  test('does not cache user tokens', async () => {
+    await exchangeAuthorizationCode(exchangeParams)
+    await exchangeAuthorizationCode(exchangeParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('throws STATE_MISMATCH before calling IMS', async () => {
+    await expect(exchangeAuthorizationCode({ ...exchangeParams, state: 'forged-state' })).rejects.toThrow('STATE_MISMATCH')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('throws MISSING_PARAMETERS without clientId, code or codeVerifier', async () => {
+    await expect(exchangeAuthorizationCode({ state: 'test-state', expectedState: 'test-state' }))
+      .rejects.toThrow('Missing required parameters: clientId, code, codeVerifier')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('never retries the exchange, the code can only be used once', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 502,
+      statusText: 'Bad Gateway',
+      headers: createMockHeaders(),
+      text: async () => '{}'
+    })
+    fetch.mockRejectedValueOnce(new Error('ECONNRESET'))
+
+    await expect(exchangeAuthorizationCode(exchangeParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    await expect(exchangeAuthorizationCode(exchangeParams)).rejects.toThrow('IMS_NETWORK_ERROR')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('throws IMS_INVALID_GRANT when IMS rejects the code', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      headers: createMockHeaders({ 'x-debug-id': 'debug-400' }),
+      text: async () => JSON.stringify({ error: 'invalid_grant', error_description: 'code verifier mismatch' })
+    })
+
+    const error = await exchangeAuthorizationCode(exchangeParams).catch(e => e)
+    expect(error.code).toBe('IMS_INVALID_GRANT')
+    expect(error.message).toContain('code verifier mismatch')
+    expect(error.sdkDetails).toEqual(expect.objectContaining({ statusCode: 400, xDebugId: 'debug-400', clientId: 'test-client-id' }))
+    expect(JSON.stringify(error.sdkDetails)).not.toContain('test-code')
+  })
+})
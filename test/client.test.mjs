@@ -0,0 +1,1371 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import v8 from 'node:v8'
+import { runInNewContext } from 'node:vm'
+import { createAuthClient, generateAccessToken, validateAccessToken, revokeAccessToken, invalidateCache, on, off } from '../src/index.js'
+import { createMockHeaders, mockTokenResponse, createJwt } from './helpers.mjs'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const validParams = {
+  clientId: 'test-client-id',
+  clientSecret: 'test-client-secret',
+  orgId: 'test-org-id',
+  scopes: ['openid']
+}
+
+// waits until IMS was called the given number of times
+const waitForImsCalls = (count) => vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(count))
+
+// waits until the given number of IMS calls settled, the client handles their outcome right away
+const waitForImsResponses = (count) => vi.waitFor(() => expect(fetch.mock.settledResults).toHaveLength(count))
+
+describe('createAuthClient', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    invalidateCache()
+  })
+
+  test('is a function', () => {
+    expect(typeof createAuthClient).toBe('function')
+  })
+
+  test('returns a client with generateAccessToken and invalidateCache', () => {
+    const client = createAuthClient()
+    expect(typeof client.generateAccessToken).toBe('function')
+    expect(typeof client.invalidateCache).toBe('function')
+  })
+
+  test('clients have isolated caches', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client1 = createAuthClient()
+    const client2 = createAuthClient()
+
+    await client1.generateAccessToken(validParams)
+    await client1.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    await client2.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    // the default client does not share the cache either
+    await generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('invalidateCache only clears the client own cache', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client1 = createAuthClient()
+    const client2 = createAuthClient()
+
+    await client1.generateAccessToken(validParams)
+    await client2.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    client1.invalidateCache()
+    await client1.generateAccessToken(validParams)
+    await client2.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('uses the client env when the call does not set one', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient({ env: 'stage' })
+
+    await client.generateAccessToken(validParams)
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/token/v2')
+
+    await client.generateAccessToken(validParams, 'prod')
+    expect(fetch.mock.calls[1][0]).toBe('https://ims-na1.adobelogin.com/ims/token/v2')
+  })
+
+  test('uses imsUrls overrides', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient({ imsUrls: { prod: 'https://ims.example.com', stage: 'https://ims-stage.example.com' } })
+
+    await client.generateAccessToken(validParams, 'prod')
+    expect(fetch.mock.calls[0][0]).toBe('https://ims.example.com/ims/token/v2')
+
+    await client.generateAccessToken(validParams, 'stage')
+    expect(fetch.mock.calls[1][0]).toBe('https://ims-stage.example.com/ims/token/v2')
+  })
+
+  test('uses the default URL of an env missing from imsUrls', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient({ imsUrls: { prod: 'https://ims.example.com' } })
+
+    await client.generateAccessToken(validParams, 'stage')
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/token/v2')
+  })
+
+  test('uses the fetch implementation passed in options', async () => {
+    const customFetch = vi.fn().mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient({ fetch: customFetch })
+
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+    expect(customFetch).toHaveBeenCalledTimes(1)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('uses the retry policy passed in options', async () => {
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 503,
+      statusText: 'Service Unavailable',
+      headers: createMockHeaders(),
+      text: async () => '{}'
+    })
+    const client = createAuthClient({ retry: { maxAttempts: 1 } })
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('evicts the oldest token past maxEntries', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient({ maxEntries: 1 })
+
+    await client.generateAccessToken(validParams)
+    // the cache evicts the token expiring first, the newer one must not expire within the same ms
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'test-access-token', token_type: 'bearer', expires_in: 86400 }))
+    await client.generateAccessToken({ ...validParams, clientId: 'other-client-id' })
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+})
+
+describe('createAuthClient - TTL policy', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('uses the client expiryMargin', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token', expires_in: 60 }))
+    const client = createAuthClient({ expiryMargin: 10 * 1000 })
+
+    await client.generateAccessToken(validParams)
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    vi.advanceTimersByTime(51 * 1000)
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('per call expiryMargin overrides the client one', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token', expires_in: 60 }))
+    const client = createAuthClient({ expiryMargin: 10 * 1000 })
+
+    await client.generateAccessToken(validParams)
+    await client.generateAccessToken(validParams, undefined, { expiryMargin: 65 * 1000 })
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('does not cache when maxTtl is 0', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient({ maxTtl: 0 })
+
+    await client.generateAccessToken(validParams)
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('maxTtl and defaultTtl bound tokens without expires_in', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token' }))
+
+    const uncached = createAuthClient({ defaultTtl: 1000, maxTtl: 0 })
+    await uncached.generateAccessToken(validParams)
+    await uncached.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    const cached = createAuthClient({ defaultTtl: 1000 })
+    await cached.generateAccessToken(validParams)
+    await cached.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+})
+
+describe('createAuthClient - store', () => {
+  const createMemoryStore = () => {
+    const entries = new Map()
+    return {
+      entries,
+      get: vi.fn(async (key) => entries.get(key)),
+      set: vi.fn(async (key, value) => { entries.set(key, value) }),
+      delete: vi.fn(async (key) => { entries.delete(key) })
+    }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('writes fetched tokens to the store with the token TTL', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const store = createMemoryStore()
+    const client = createAuthClient({ store })
+
+    const result = await client.generateAccessToken(validParams)
+    expect(store.set).toHaveBeenCalledWith(expect.stringMatching(/^[0-9a-f]{40}$/), result, expect.any(Number))
+    const ttl = store.set.mock.calls[0][2]
+    expect(ttl).toBeGreaterThan(0)
+    expect(ttl).toBeLessThanOrEqual((86399 - 5 * 60) * 1000)
+  })
+
+  test('clients sharing a store reuse the same token', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const store = createMemoryStore()
+
+    const result1 = await createAuthClient({ store }).generateAccessToken(validParams)
+    const result2 = await createAuthClient({ store }).generateAccessToken(validParams)
+    expect(result2).toEqual(result1)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('the in-memory cache is checked before the store', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const store = createMemoryStore()
+    const client = createAuthClient({ store })
+
+    await client.generateAccessToken(validParams)
+    await client.generateAccessToken(validParams)
+    expect(store.get).toHaveBeenCalledTimes(1)
+  })
+
+  test('only uses the store when memoryCache is false', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const store = createMemoryStore()
+    const client = createAuthClient({ store, memoryCache: false })
+
+    await client.generateAccessToken(validParams)
+    await client.generateAccessToken(validParams)
+    expect(store.get).toHaveBeenCalledTimes(2)
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    // invalidateCache does not touch the store
+    client.invalidateCache()
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('stored tokens expiring within the margin are ignored', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const store = createMemoryStore()
+    const client = createAuthClient({ store })
+
+    await client.generateAccessToken(validParams)
+    const [[key]] = store.set.mock.calls
+    store.entries.set(key, { access_token: 'old-token', expires_at: Date.now() + 1000 })
+    client.invalidateCache()
+
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('a failing store get falls back to IMS', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const store = createMemoryStore()
+    store.get.mockRejectedValue(new Error('store unavailable'))
+    const client = createAuthClient({ store })
+
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('a failing store set still returns the token', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const store = createMemoryStore()
+    store.set.mockRejectedValue(new Error('store unavailable'))
+    const client = createAuthClient({ store })
+
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+  })
+})
+
+describe('createAuthClient - concurrent requests', () => {
+  // resolves the fetch mock on demand, so that calls overlap
+  const deferredFetch = () => {
+    let resolve
+    fetch.mockImplementationOnce(() => new Promise((_resolve) => { resolve = _resolve }))
+    return (response) => resolve(response)
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('concurrent callers share a single IMS request', async () => {
+    const resolveFetch = deferredFetch()
+    const client = createAuthClient()
+
+    const calls = Array.from({ length: 50 }, () => client.generateAccessToken(validParams))
+    // all callers reach the in-flight request before it calls IMS
+    await waitForImsCalls(1)
+    resolveFetch(mockTokenResponse())
+
+    const results = await Promise.all(calls)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    results.forEach((result) => expect(result).toBe(results[0]))
+  })
+
+  test('concurrent callers with different credentials do not share requests', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient()
+
+    await Promise.all([
+      client.generateAccessToken(validParams),
+      client.generateAccessToken({ ...validParams, clientId: 'other-client-id' })
+    ])
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('concurrent callers all get the same error, which is not cached', async () => {
+    const resolveFetch = deferredFetch()
+    const client = createAuthClient()
+
+    const calls = Array.from({ length: 5 }, () => client.generateAccessToken(validParams).catch(e => e))
+    await waitForImsCalls(1)
+    resolveFetch({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify({ error: 'invalid_client' })
+    })
+
+    const errors = await Promise.all(calls)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    errors.forEach((error) => {
+      expect(error.code).toBe('IMS_INVALID_CLIENT')
+      expect(error).toBe(errors[0])
+    })
+
+    // the next call tries again
+    fetch.mockResolvedValueOnce(mockTokenResponse())
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('createAuthClient - timeout and cancellation', () => {
+  // a fetch that resolves on demand, and rejects like the native fetch when its signal is aborted
+  const deferredFetch = () => {
+    const deferred = {}
+    fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+      deferred.signal = signal
+      deferred.resolve = resolve
+      signal.addEventListener('abort', () => reject(signal.reason))
+    }))
+    return deferred
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('throws IMS_TIMEOUT when the call timeout elapses', async () => {
+    const imsRequest = deferredFetch()
+    const client = createAuthClient()
+
+    const error = await client.generateAccessToken(validParams, 'prod', { timeout: 10 }).catch(e => e)
+    expect(error.code).toBe('IMS_TIMEOUT')
+    expect(error.sdkDetails).toEqual(expect.objectContaining({ clientId: validParams.clientId, imsEnv: 'prod', timeout: 10 }))
+    expect(imsRequest.signal.aborted).toBe(true)
+  })
+
+  test('uses the client timeout', async () => {
+    deferredFetch()
+    const client = createAuthClient({ timeout: 10 })
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_TIMEOUT')
+  })
+
+  test('the call timeout still fires after a garbage collection', async () => {
+    v8.setFlagsFromString('--expose-gc')
+    const gc = runInNewContext('gc')
+    deferredFetch()
+    const client = createAuthClient()
+
+    const promise = client.generateAccessToken(validParams, undefined, { timeout: 200 })
+    await waitForImsCalls(1)
+    gc()
+    await expect(promise).rejects.toThrow('IMS_TIMEOUT')
+  })
+
+  test('throws ABORTED when the signal is aborted', async () => {
+    const imsRequest = deferredFetch()
+    const client = createAuthClient()
+    const controller = new AbortController()
+
+    const promise = client.generateAccessToken(validParams, undefined, { signal: controller.signal })
+    await waitForImsCalls(1)
+    controller.abort()
+
+    await expect(promise).rejects.toThrow('ABORTED')
+    expect(imsRequest.signal.aborted).toBe(true)
+  })
+
+  test('throws ABORTED right away when the signal is already aborted', async () => {
+    const imsRequest = deferredFetch()
+    const client = createAuthClient()
+
+    await expect(client.generateAccessToken(validParams, undefined, { signal: AbortSignal.abort() })).rejects.toThrow('ABORTED')
+    expect(imsRequest.signal.aborted).toBe(true)
+  })
+
+  test('a cancelled call does not leave a stale in-flight request', async () => {
+    deferredFetch()
+    const client = createAuthClient()
+
+    await expect(client.generateAccessToken(validParams, undefined, { timeout: 10 })).rejects.toThrow('IMS_TIMEOUT')
+
+    fetch.mockResolvedValueOnce(mockTokenResponse())
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('a cancelled call does not cache a token that arrives late', async () => {
+    // this fetch ignores the abort signal
+    let resolveFetch
+    fetch.mockImplementationOnce(() => new Promise((resolve) => { resolveFetch = resolve }))
+    const client = createAuthClient()
+    const controller = new AbortController()
+
+    const promise = client.generateAccessToken(validParams, undefined, { signal: controller.signal })
+    await waitForImsCalls(1)
+    controller.abort()
+    await expect(promise).rejects.toThrow('ABORTED')
+
+    resolveFetch(mockTokenResponse())
+    await waitForImsResponses(1)
+
+    fetch.mockResolvedValueOnce(mockTokenResponse())
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('the shared request continues while other callers are waiting', async () => {
+    const imsRequest = deferredFetch()
+    const client = createAuthClient()
+    const controller = new AbortController()
+
+    const cancelled = client.generateAccessToken(validParams, undefined, { signal: controller.signal })
+    const waiting = client.generateAccessToken(validParams)
+    await waitForImsCalls(1)
+    controller.abort()
+    await expect(cancelled).rejects.toThrow('ABORTED')
+    expect(imsRequest.signal.aborted).toBe(false)
+
+    imsRequest.resolve(mockTokenResponse())
+    const result = await waiting
+    expect(result.access_token).toBe('test-access-token')
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('callers with a signal get the shared request result', async () => {
+    const imsRequest = deferredFetch()
+    const client = createAuthClient()
+
+    const promise = client.generateAccessToken(validParams, undefined, { signal: new AbortController().signal })
+    await waitForImsCalls(1)
+    imsRequest.resolve(mockTokenResponse())
+
+    const result = await promise
+    expect(result.access_token).toBe('test-access-token')
+  })
+
+  test('the request is aborted once all callers gave up', async () => {
+    const imsRequest = deferredFetch()
+    const client = createAuthClient()
+    const controller1 = new AbortController()
+    const controller2 = new AbortController()
+
+    const call1 = client.generateAccessToken(validParams, undefined, { signal: controller1.signal })
+    const call2 = client.generateAccessToken(validParams, undefined, { signal: controller2.signal })
+    await waitForImsCalls(1)
+
+    controller1.abort()
+    await expect(call1).rejects.toThrow('ABORTED')
+    expect(imsRequest.signal.aborted).toBe(false)
+
+    controller2.abort()
+    await expect(call2).rejects.toThrow('ABORTED')
+    expect(imsRequest.signal.aborted).toBe(true)
+  })
+
+  test('a new request replaces an aborted one that has not settled yet', async () => {
+    // this fetch ignores the abort signal
+    let resolveFetch
+    fetch.mockImplementationOnce(() => new Promise((resolve) => { resolveFetch = resolve }))
+    const client = createAuthClient()
+
+    await expect(client.generateAccessToken(validParams, undefined, { signal: AbortSignal.abort() })).rejects.toThrow('ABORTED')
+
+    const next = deferredFetch()
+    const promise = client.generateAccessToken(validParams)
+    await waitForImsCalls(2)
+
+    // the aborted request settling does not remove the new one
+    resolveFetch(mockTokenResponse())
+    await waitForImsResponses(1)
+    const concurrent = client.generateAccessToken(validParams)
+
+    next.resolve(mockTokenResponse())
+    await Promise.all([promise, concurrent])
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('createAuthClient - refresh ahead', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers({ toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('does not refresh before the refreshAhead fraction of the token lifetime', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const client = createAuthClient({ refreshAhead: 0.5 })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(499 * 1000)
+    // a background refresh would call IMS before the cache hit returns
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('returns the cached token right away and refreshes it in the background', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const client = createAuthClient({ refreshAhead: 0.5 })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(500 * 1000)
+
+    let resolveFetch
+    fetch.mockImplementationOnce(() => new Promise((resolve) => { resolveFetch = resolve }))
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('token-1')
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    // concurrent hits share the background refresh
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    resolveFetch(mockTokenResponse({ access_token: 'token-2', expires_in: 1000 }))
+    await waitForImsResponses(2)
+
+    const refreshed = await client.generateAccessToken(validParams)
+    expect(refreshed.access_token).toBe('token-2')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('reports background refresh failures to onRefreshError and keeps the cached token', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const onRefreshError = vi.fn()
+    const client = createAuthClient({ refreshAhead: 0.5, onRefreshError, retry: { maxAttempts: 1 } })
+
+    await client.generateAccessToken(validParams, 'stage')
+    vi.advanceTimersByTime(600 * 1000)
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 503,
+      statusText: 'Service Unavailable',
+      headers: createMockHeaders(),
+      text: async () => '{}'
+    })
+    const result = await client.generateAccessToken(validParams, 'stage')
+    expect(result.access_token).toBe('token-1')
+    await vi.waitFor(() => expect(onRefreshError).toHaveBeenCalledTimes(1))
+
+    const [error, details] = onRefreshError.mock.calls[0]
+    expect(error.code).toBe('IMS_SERVER_ERROR')
+    expect(details).toEqual({ clientId: validParams.clientId, orgId: validParams.orgId, scopes: validParams.scopes, imsEnv: 'stage' })
+
+    const cached = await client.generateAccessToken(validParams, 'stage')
+    expect(cached.access_token).toBe('token-1')
+  })
+
+  test('a throwing onRefreshError does not cause an unhandled rejection', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const onRefreshError = vi.fn(() => { throw new Error('hook failed') })
+    const unhandled = vi.fn()
+    process.on('unhandledRejection', unhandled)
+    const client = createAuthClient({ refreshAhead: 0.5, onRefreshError, retry: { maxAttempts: 1 } })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(600 * 1000)
+
+    fetch.mockRejectedValueOnce(new Error('ECONNRESET'))
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('token-1')
+    await vi.waitFor(() => expect(onRefreshError).toHaveBeenCalledTimes(1))
+    // unhandled rejections are reported once the microtask queue is drained
+    await new Promise((resolve) => setImmediate(resolve))
+    process.off('unhandledRejection', unhandled)
+    expect(unhandled).not.toHaveBeenCalled()
+  })
+
+  test('waits for the refreshCooldown before refreshing again after a failure', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const onRefreshError = vi.fn()
+    const client = createAuthClient({ refreshAhead: 0.5, refreshCooldown: 10 * 1000, onRefreshError, retry: { maxAttempts: 1 } })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(600 * 1000)
+
+    fetch.mockRejectedValueOnce(new Error('ECONNRESET'))
+    await client.generateAccessToken(validParams)
+    await vi.waitFor(() => expect(onRefreshError).toHaveBeenCalledTimes(1))
+
+    // cache hits within the cool-down do not call IMS
+    vi.advanceTimersByTime(9 * 1000)
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-2', expires_in: 1000 }))
+    vi.advanceTimersByTime(1000)
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('token-1')
+    expect(fetch).toHaveBeenCalledTimes(3)
+    await vi.waitFor(async () => expect((await client.generateAccessToken(validParams)).access_token).toBe('token-2'))
+  })
+
+  test('reports a failed background refresh once, whatever the cache hits during it', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const onRefreshError = vi.fn()
+    const client = createAuthClient({ refreshAhead: 0.5, refreshCooldown: 10 * 1000, onRefreshError, retry: { maxAttempts: 1 } })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(600 * 1000)
+
+    let rejectFetch
+    fetch.mockImplementationOnce(() => new Promise((resolve, reject) => { rejectFetch = reject }))
+    for (let i = 0; i < 5; i++) {
+      const result = await client.generateAccessToken(validParams)
+      expect(result.access_token).toBe('token-1')
+    }
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    rejectFetch(new Error('ECONNRESET'))
+    await waitForImsResponses(2)
+    expect(onRefreshError).toHaveBeenCalledTimes(1)
+
+    // the cool-down holds off the next refresh
+    vi.advanceTimersByTime(9 * 1000)
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('ignores background refresh failures without onRefreshError', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const client = createAuthClient({ refreshAhead: 0.5, retry: { maxAttempts: 1 } })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(600 * 1000)
+
+    fetch.mockRejectedValueOnce(new Error('ECONNRESET'))
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('token-1')
+    await waitForImsResponses(2)
+  })
+
+  test('a cancelled caller joining the refresh does not abort it', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    const client = createAuthClient({ refreshAhead: 0.5 })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(600 * 1000)
+
+    let imsSignal
+    let resolveFetch
+    fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve) => {
+      imsSignal = signal
+      resolveFetch = resolve
+    }))
+    await client.generateAccessToken(validParams)
+
+    // a caller with a margin that skips the cached token joins the background refresh, then times out
+    const cancelled = client.generateAccessToken(validParams, undefined, { expiryMargin: 500 * 1000, timeout: 10 })
+    await expect(cancelled).rejects.toThrow('IMS_TIMEOUT')
+    expect(imsSignal.aborted).toBe(false)
+
+    resolveFetch(mockTokenResponse({ access_token: 'token-2', expires_in: 1000 }))
+    await waitForImsResponses(2)
+    const refreshed = await client.generateAccessToken(validParams)
+    expect(refreshed.access_token).toBe('token-2')
+  })
+
+  test('tokens without expires_in are not refreshed ahead', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token-1' }))
+    const client = createAuthClient({ refreshAhead: 0.5 })
+
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(4 * 60 * 1000)
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('createAuthClient - stale if error and circuit breaker', () => {
+  const unavailableResponse = () => ({
+    ok: false,
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: createMockHeaders(),
+    text: async () => '{}'
+  })
+
+  const retry = { maxAttempts: 1 }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers({ toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  // caches a token expiring in 1000s, then moves past the cache TTL into the expiry margin
+  const cacheThenExpire = async (client) => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 1000 }))
+    await client.generateAccessToken(validParams)
+    vi.advanceTimersByTime(900 * 1000)
+  }
+
+  test('serves the last good token flagged as stale when IMS is unavailable', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce(unavailableResponse())
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('token-1')
+    expect(result.stale).toBe(true)
+  })
+
+  test('serves the last good token on network errors', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+
+    fetch.mockRejectedValueOnce(new Error('ECONNRESET'))
+    const result = await client.generateAccessToken(validParams)
+    expect(result.stale).toBe(true)
+  })
+
+  test('serves the last good token on a gateway error page', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 502,
+      statusText: 'Bad Gateway',
+      headers: createMockHeaders({ 'content-type': 'text/html' }),
+      text: async () => '<html>502 Bad Gateway</html>'
+    })
+    const result = await client.generateAccessToken(validParams)
+    expect(result.stale).toBe(true)
+  })
+
+  test('does not serve a stale token on a malformed successful response', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce(mockTokenResponse({ token_type: 'bearer' }))
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_BAD_RESPONSE')
+  })
+
+  test('returns fresh tokens without the stale flag', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-2', expires_in: 1000 }))
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('token-2')
+    expect(result.stale).toBeUndefined()
+  })
+
+  test('does not serve a stale token on credential errors', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify({ error: 'invalid_client' })
+    })
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_INVALID_CLIENT')
+  })
+
+  test('does not serve a stale token when rate limited', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: createMockHeaders(),
+      text: async () => '{}'
+    })
+    const error = await client.generateAccessToken(validParams).catch(e => e)
+    expect(error.code).toBe('IMS_RATE_LIMITED')
+    expect(error.retryable).toBe(true)
+  })
+
+  test('does not serve a token that actually expired', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+    vi.advanceTimersByTime(100 * 1000)
+
+    fetch.mockResolvedValueOnce(unavailableResponse())
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+  })
+
+  test('does not keep tokens without expires_in', async () => {
+    const client = createAuthClient({ staleIfError: true, retry, defaultTtl: 1000 })
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1' }))
+    await client.generateAccessToken(validParams)
+    client.invalidateCache()
+
+    fetch.mockResolvedValueOnce(unavailableResponse())
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+  })
+
+  test('invalidateCache also drops the last good tokens', async () => {
+    const client = createAuthClient({ staleIfError: true, retry })
+    await cacheThenExpire(client)
+    client.invalidateCache()
+
+    fetch.mockResolvedValueOnce(unavailableResponse())
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+  })
+
+  test('is disabled by default', async () => {
+    const client = createAuthClient({ retry })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce(unavailableResponse())
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+  })
+
+  test('the circuit opens after repeated failures and closes after the cool-down', async () => {
+    const client = createAuthClient({ retry, circuitBreaker: { failureThreshold: 2, cooldown: 10 * 1000 } })
+    fetch.mockResolvedValue(unavailableResponse())
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    const error = await client.generateAccessToken(validParams).catch(e => e)
+    expect(error.code).toBe('IMS_CIRCUIT_OPEN')
+    expect(error.sdkDetails).toEqual(expect.objectContaining({ imsEnv: 'prod', remainingCooldown: 10 * 1000 }))
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    // the circuit is per environment
+    await expect(client.generateAccessToken(validParams, 'stage')).rejects.toThrow('IMS_SERVER_ERROR')
+    expect(fetch).toHaveBeenCalledTimes(3)
+
+    // after the cool-down, a success closes the circuit
+    vi.advanceTimersByTime(10 * 1000)
+    fetch.mockResolvedValueOnce(mockTokenResponse())
+    await client.generateAccessToken(validParams)
+    client.invalidateCache()
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    expect(fetch).toHaveBeenCalledTimes(6)
+  })
+
+  test('a failure after the cool-down opens the circuit again', async () => {
+    const client = createAuthClient({ retry, circuitBreaker: { failureThreshold: 2, cooldown: 10 * 1000 } })
+    fetch.mockResolvedValue(unavailableResponse())
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    vi.advanceTimersByTime(10 * 1000)
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_SERVER_ERROR')
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_CIRCUIT_OPEN')
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('uses default circuit breaker settings', async () => {
+    const client = createAuthClient({ retry, circuitBreaker: {} })
+    fetch.mockRejectedValue(new Error('ECONNRESET'))
+
+    for (let i = 0; i < 5; i++) {
+      await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_NETWORK_ERROR')
+    }
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_CIRCUIT_OPEN')
+    vi.advanceTimersByTime(30 * 1000)
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_NETWORK_ERROR')
+  })
+
+  test('credential errors and cancelled calls do not open the circuit', async () => {
+    const client = createAuthClient({ retry, circuitBreaker: { failureThreshold: 1 } })
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify({ error: 'invalid_client' })
+    })
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_INVALID_CLIENT')
+
+    fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason))
+    }))
+    await expect(client.generateAccessToken(validParams, undefined, { signal: AbortSignal.abort() })).rejects.toThrow('ABORTED')
+    await waitForImsResponses(2)
+
+    fetch.mockResolvedValueOnce(mockTokenResponse())
+    await client.generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('calls timing out open the circuit', async () => {
+    const client = createAuthClient({ retry, timeout: 50, circuitBreaker: { failureThreshold: 2 } })
+    const onFailed = vi.fn()
+    client.on('tokenFetchFailed', onFailed)
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason))
+    }))
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_TIMEOUT')
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_TIMEOUT')
+    // the aborted IMS requests settle after their callers gave up
+    await vi.waitFor(() => expect(onFailed).toHaveBeenCalledTimes(2))
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('IMS_CIRCUIT_OPEN')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('serves a stale token while the circuit is open', async () => {
+    const client = createAuthClient({ staleIfError: true, retry, circuitBreaker: { failureThreshold: 1 } })
+    await cacheThenExpire(client)
+
+    fetch.mockResolvedValueOnce(unavailableResponse())
+    expect((await client.generateAccessToken(validParams)).stale).toBe(true)
+    expect((await client.generateAccessToken(validParams)).stale).toBe(true)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('createAuthClient - lifecycle events', () => {
+  const expectedDetails = { clientId: 'test-client-id', orgId: 'test-org-id', scopes: ['openid'], imsEnv: 'prod' }
+
+  // records all the lifecycle events of a client, in order
+  const recordEvents = (client) => {
+    const events = []
+    const names = ['cacheHit', 'cacheMiss', 'tokenFetched', 'tokenFetchFailed', 'cacheInvalidated']
+    names.forEach(name => client.on(name, (payload) => events.push([name, payload])))
+    return events
+  }
+
+  // no payload may carry a secret or a token
+  const expectNoSecrets = (events) => {
+    const serialized = JSON.stringify(events.map(([name, { error, ...payload }]) => [name, payload]))
+    expect(serialized).not.toContain('test-client-secret')
+    expect(serialized).not.toContain('test-access-token')
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    invalidateCache()
+  })
+
+  test('emits cacheMiss and tokenFetched, then cacheHit', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient()
+    const events = recordEvents(client)
+
+    const result = await client.generateAccessToken(validParams)
+    await client.generateAccessToken(validParams)
+
+    expect(events.map(([name]) => name)).toEqual(['cacheMiss', 'tokenFetched', 'cacheHit'])
+    expect(events[0][1]).toEqual(expectedDetails)
+    expect(events[1][1]).toEqual({ ...expectedDetails, duration: expect.any(Number), expiresAt: result.expires_at, background: false })
+    expect(events[1][1].duration).toBeGreaterThanOrEqual(0)
+    expect(events[2][1]).toEqual({ ...expectedDetails, source: 'memory', expiresAt: result.expires_at })
+    expectNoSecrets(events)
+  })
+
+  test('emits cacheHit with the store source', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const entries = new Map()
+    const store = {
+      get: async (key) => entries.get(key),
+      set: async (key, value) => { entries.set(key, value) },
+      delete: async (key) => { entries.delete(key) }
+    }
+    await createAuthClient({ store }).generateAccessToken(validParams)
+
+    const client = createAuthClient({ store })
+    const events = recordEvents(client)
+    await client.generateAccessToken(validParams)
+    expect(events).toEqual([['cacheHit', { ...expectedDetails, source: 'store', expiresAt: expect.any(Number) }]])
+  })
+
+  test('emits tokenFetchFailed with the error', async () => {
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify({ error: 'invalid_client', error_description: 'Invalid client credentials' })
+    })
+    const client = createAuthClient()
+    const events = recordEvents(client)
+
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('Invalid client credentials')
+    expect(events.map(([name]) => name)).toEqual(['cacheMiss', 'tokenFetchFailed'])
+    expect(events[1][1]).toEqual({ ...expectedDetails, duration: expect.any(Number), error: expect.objectContaining({ code: 'IMS_INVALID_CLIENT' }), background: false })
+    expectNoSecrets(events)
+  })
+
+  test('flags background refreshes', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    try {
+      fetch.mockResolvedValue(mockTokenResponse({ access_token: 'test-access-token', expires_in: 1000 }))
+      const client = createAuthClient({ refreshAhead: 0.5 })
+      const events = recordEvents(client)
+
+      await client.generateAccessToken(validParams)
+      vi.advanceTimersByTime(600 * 1000)
+      await client.generateAccessToken(validParams)
+      await vi.waitFor(() => expect(events).toHaveLength(4))
+
+      expect(events.map(([name, { background }]) => [name, background])).toEqual([
+        ['cacheMiss', undefined],
+        ['tokenFetched', false],
+        ['cacheHit', undefined],
+        ['tokenFetched', true]
+      ])
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  test('emits cacheInvalidated on invalidateCache and revoke', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 200, headers: createMockHeaders(), text: async () => '{}' })
+    const client = createAuthClient()
+    const events = recordEvents(client)
+
+    client.invalidateCache()
+    await client.revokeAccessToken('test-access-token', validParams)
+    expect(events).toEqual([
+      ['cacheInvalidated', { reason: 'invalidateCache' }],
+      ['cacheInvalidated', { reason: 'revoke', ...expectedDetails }]
+    ])
+    expectNoSecrets(events)
+  })
+
+  test('failing listeners do not fail the token operation', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const client = createAuthClient()
+    client.on('cacheMiss', () => { throw new Error('listener failure') })
+
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+  })
+
+  test('on and off add and remove listeners of the default client', async () => {
+    fetch.mockResolvedValue(mockTokenResponse())
+    const listener = vi.fn()
+
+    on('cacheMiss', listener)
+    await generateAccessToken(validParams)
+    expect(listener).toHaveBeenCalledWith(expectedDetails)
+
+    off('cacheMiss', listener)
+    invalidateCache()
+    await generateAccessToken(validParams)
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('validateAccessToken', () => {
+  const validationResponse = (body) => ({
+    ok: true,
+    status: 200,
+    headers: createMockHeaders(),
+    text: async () => JSON.stringify(body)
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    invalidateCache()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('is a function', () => {
+    expect(typeof validateAccessToken).toBe('function')
+  })
+
+  test('returns a valid result with the IMS claims', async () => {
+    const claims = { client_id: 'test-client-id', type: 'access_token' }
+    fetch.mockResolvedValueOnce(validationResponse({ valid: true, token: claims }))
+
+    const result = await validateAccessToken('test-access-token', { clientId: 'test-client-id' })
+    expect(result).toEqual({ valid: true, reason: undefined, claims })
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1.adobelogin.com/ims/validate_token/v1')
+  })
+
+  test('returns an invalid result with the reason', async () => {
+    fetch.mockResolvedValueOnce(validationResponse({ valid: false, reason: 'bad_signature' }))
+
+    const result = await validateAccessToken('test-access-token', { clientId: 'test-client-id', env: 'stage' })
+    expect(result).toEqual({ valid: false, reason: 'bad_signature', claims: null })
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/validate_token/v1')
+  })
+
+  test('decodes the claims locally when IMS does not return them', async () => {
+    const claims = { client_id: 'test-client-id', created_at: String(Date.now()), expires_in: '86400000' }
+    fetch.mockResolvedValueOnce(validationResponse({ valid: true }))
+
+    const result = await validateAccessToken(createJwt(claims), { clientId: 'test-client-id' })
+    expect(result.claims).toEqual(claims)
+  })
+
+  test('briefly caches results', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    fetch.mockResolvedValue(validationResponse({ valid: true }))
+    const client = createAuthClient({ validationCacheTtl: 1000 })
+
+    await client.validateAccessToken('test-access-token', { clientId: 'test-client-id' })
+    await client.validateAccessToken('test-access-token', { clientId: 'test-client-id' })
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    // a different client id is a different entry
+    await client.validateAccessToken('test-access-token', { clientId: 'other-client-id' })
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    client.invalidateCache()
+    await client.validateAccessToken('test-access-token', { clientId: 'test-client-id' })
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('does not cache results past the token expiry', async () => {
+    fetch.mockResolvedValue(validationResponse({ valid: true }))
+    const token = createJwt({ created_at: String(Date.now() - 86400000), expires_in: '86400000' })
+
+    await validateAccessToken(token, { clientId: 'test-client-id' })
+    await validateAccessToken(token, { clientId: 'test-client-id' })
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('does not cache when validationCacheTtl is 0', async () => {
+    fetch.mockResolvedValue(validationResponse({ valid: true }))
+    const client = createAuthClient({ validationCacheTtl: 0 })
+
+    await client.validateAccessToken('test-access-token', { clientId: 'test-client-id' })
+    await client.validateAccessToken('test-access-token', { clientId: 'test-client-id' })
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('throws MISSING_PARAMETERS without token or clientId', async () => {
+    const error = await validateAccessToken().catch(e => e)
+    expect(error.code).toBe('MISSING_PARAMETERS')
+    expect(error.message).toContain('token, clientId')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('throws IMS_VALIDATION_ERROR when IMS fails', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify({ error: 'invalid_token' })
+    })
+
+    await expect(validateAccessToken('test-access-token', { clientId: 'test-client-id' })).rejects.toThrow('IMS_VALIDATION_ERROR')
+  })
+
+  test('supports timeouts', async () => {
+    fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason))
+    }))
+
+    await expect(validateAccessToken('test-access-token', { clientId: 'test-client-id' }, { timeout: 10 })).rejects.toThrow('IMS_TIMEOUT')
+  })
+})
+
+describe('revokeAccessToken', () => {
+  const revokeResponse = () => ({
+    ok: true,
+    status: 200,
+    headers: createMockHeaders(),
+    text: async () => ''
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    invalidateCache()
+  })
+
+  test('is a function', () => {
+    expect(typeof revokeAccessToken).toBe('function')
+  })
+
+  test('revokes the token with the client credentials', async () => {
+    fetch.mockResolvedValueOnce(revokeResponse())
+
+    await revokeAccessToken('test-access-token', validParams, 'stage')
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/revoke/v2')
+    const body = new URLSearchParams(fetch.mock.calls[0][1].body)
+    expect(body.get('token')).toBe('test-access-token')
+    expect(body.get('client_id')).toBe('test-client-id')
+    expect(body.get('client_secret')).toBe('test-client-secret')
+  })
+
+  test('removes the revoked token from the cache', async () => {
+    const client = createAuthClient()
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 86399 }))
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-2', expires_in: 86399 }))
+    await client.generateAccessToken(validParams)
+    await client.generateAccessToken({ ...validParams, scopes: [] })
+
+    fetch.mockResolvedValueOnce(revokeResponse())
+    await client.revokeAccessToken('token-1', validParams)
+
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-3', expires_in: 86399 }))
+    expect((await client.generateAccessToken(validParams)).access_token).toBe('token-3')
+    // other tokens stay cached
+    expect((await client.generateAccessToken({ ...validParams, scopes: [] })).access_token).toBe('token-2')
+    expect(fetch).toHaveBeenCalledTimes(4)
+  })
+
+  test('removes the revoked token from the store and stale tokens', async () => {
+    const entries = new Map()
+    const store = {
+      get: vi.fn(async (key) => entries.get(key)),
+      set: vi.fn(async (key, value) => { entries.set(key, value) }),
+      delete: vi.fn(async (key) => { entries.delete(key) })
+    }
+    const client = createAuthClient({ store, staleIfError: true, retry: { maxAttempts: 1 } })
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 86399 }))
+    await client.generateAccessToken(validParams)
+    expect(entries.size).toBe(1)
+
+    fetch.mockResolvedValueOnce(revokeResponse())
+    await client.revokeAccessToken('token-1', validParams)
+    expect(entries.size).toBe(0)
+
+    // the revoked token is not served as a stale token either
+    fetch.mockRejectedValueOnce(new Error('Network error'))
+    await expect(client.generateAccessToken(validParams)).rejects.toThrow('Network error')
+  })
+
+  test('leaves store entries holding another token', async () => {
+    const store = {
+      get: vi.fn(async () => ({ access_token: 'token-2', expires_in: 86399 })),
+      set: vi.fn(),
+      delete: vi.fn()
+    }
+    const client = createAuthClient({ store })
+
+    fetch.mockResolvedValueOnce(revokeResponse())
+    await client.revokeAccessToken('token-1', validParams)
+    expect(store.delete).not.toHaveBeenCalled()
+  })
+
+  test('still revokes the token when the store is unavailable', async () => {
+    const store = {
+      get: vi.fn(async () => { throw new Error('store unavailable') }),
+      set: vi.fn(),
+      delete: vi.fn()
+    }
+    const client = createAuthClient({ store })
+
+    fetch.mockResolvedValueOnce(revokeResponse())
+    await client.revokeAccessToken('token-1', validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('removes the cached validation result', async () => {
+    const client = createAuthClient()
+    const validationResponse = (valid) => ({
+      ok: true,
+      status: 200,
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify({ valid })
+    })
+    fetch.mockResolvedValueOnce(validationResponse(true))
+    await client.validateAccessToken('token-1', { clientId: 'test-client-id', env: 'prod' })
+
+    fetch.mockResolvedValueOnce(revokeResponse())
+    await client.revokeAccessToken('token-1', validParams, 'prod')
+
+    fetch.mockResolvedValueOnce(validationResponse(false))
+    const result = await client.validateAccessToken('token-1', { clientId: 'test-client-id', env: 'prod' })
+    expect(result.valid).toBe(false)
+  })
+
+  test('reads credentials from the include-ims-credentials annotation', async () => {
+    fetch.mockResolvedValueOnce(revokeResponse())
+
+    await revokeAccessToken('test-access-token', { __ims_oauth_s2s: validParams, __ims_env: 'stage' })
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/revoke/v2')
+  })
+
+  test('throws MISSING_PARAMETERS without a token or credentials', async () => {
+    await expect(revokeAccessToken(undefined, validParams)).rejects.toThrow('MISSING_PARAMETERS')
+    await expect(revokeAccessToken('test-access-token', {})).rejects.toThrow('MISSING_PARAMETERS')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('purges the cache even when IMS fails to revoke the token', async () => {
+    const client = createAuthClient({ retry: { maxAttempts: 1 } })
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-1', expires_in: 86399 }))
+    await client.generateAccessToken(validParams)
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify({ error: 'unsupported_token_type' })
+    })
+    const error = await client.revokeAccessToken('token-1', validParams).catch(e => e)
+    expect(error.code).toBe('IMS_REVOKE_ERROR')
+    expect(error.sdkDetails).toEqual(expect.objectContaining({ statusCode: 400, clientId: 'test-client-id', orgId: 'test-org-id' }))
+
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token-2', expires_in: 86399 }))
+    expect((await client.generateAccessToken(validParams)).access_token).toBe('token-2')
+  })
+})
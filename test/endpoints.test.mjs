@@ -0,0 +1,107 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createAuthClient, createAuthorizationRequest, registerImsEnvironment } from '../src/index.js'
+import { mockTokenResponse } from './helpers.mjs'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const validParams = {
+  clientId: 'test-client-id',
+  clientSecret: 'test-client-secret',
+  orgId: 'test-org-id',
+  scopes: ['openid']
+}
+
+describe('IMS endpoints', () => {
+  const originalBaseUrl = process.env.AIO_IMS_BASE_URL
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    fetch.mockResolvedValue(mockTokenResponse())
+    delete process.env.AIO_IMS_BASE_URL
+  })
+
+  afterEach(() => {
+    if (originalBaseUrl === undefined) {
+      delete process.env.AIO_IMS_BASE_URL
+    } else {
+      process.env.AIO_IMS_BASE_URL = originalBaseUrl
+    }
+  })
+
+  test('registerImsEnvironment is a function', () => {
+    expect(typeof registerImsEnvironment).toBe('function')
+  })
+
+  test('uses registered environments', async () => {
+    registerImsEnvironment('local', 'http://localhost:3000/ims-mock/')
+    const client = createAuthClient()
+
+    await client.generateAccessToken(validParams, 'local')
+    expect(fetch.mock.calls[0][0]).toBe('http://localhost:3000/ims-mock/ims/token/v2')
+
+    const { url } = createAuthorizationRequest({ clientId: 'test-client-id', redirectUri: 'https://example.com/callback', env: 'local' })
+    expect(url.startsWith('http://localhost:3000/ims-mock/ims/authorize/v2?')).toBe(true)
+  })
+
+  test('rejects unknown environments, listing the known ones', async () => {
+    registerImsEnvironment('qa', 'https://ims-qa.example.com')
+    const client = createAuthClient({ imsUrls: { perf: 'https://ims-perf.example.com' } })
+
+    const error = await client.generateAccessToken(validParams, 'prd').catch(e => e)
+    expect(error.name).toBe('AuthSDKError')
+    expect(error.code).toBe('UNKNOWN_IMS_ENV')
+    expect(error.message).toContain('Unknown IMS environment: prd')
+    expect(error.sdkDetails).toEqual({ imsEnv: 'prd', knownEnvs: expect.arrayContaining(['prod', 'stage', 'qa', 'perf']) })
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('the AIO_IMS_BASE_URL environment variable overrides the registered URLs', async () => {
+    process.env.AIO_IMS_BASE_URL = 'http://127.0.0.1:8080'
+    const client = createAuthClient()
+
+    await client.generateAccessToken(validParams, 'prod')
+    await client.generateAccessToken(validParams, 'stage')
+    expect(fetch.mock.calls[0][0]).toBe('http://127.0.0.1:8080/ims/token/v2')
+    expect(fetch.mock.calls[1][0]).toBe('http://127.0.0.1:8080/ims/token/v2')
+
+    // unknown environments are still rejected
+    await expect(client.generateAccessToken(validParams, 'unknown')).rejects.toThrow('UNKNOWN_IMS_ENV')
+  })
+
+  test('client options take precedence over the environment variable', async () => {
+    process.env.AIO_IMS_BASE_URL = 'http://127.0.0.1:8080'
+
+    await createAuthClient({ imsUrls: { prod: 'https://ims.example.com' } }).generateAccessToken(validParams, 'prod')
+    await createAuthClient({ imsBaseUrl: 'https://ims-all.example.com', imsUrls: { prod: 'https://ims.example.com' } }).generateAccessToken(validParams, 'stage')
+    expect(fetch.mock.calls[0][0]).toBe('https://ims.example.com/ims/token/v2')
+    expect(fetch.mock.calls[1][0]).toBe('https://ims-all.example.com/ims/token/v2')
+  })
+
+  test('throws BAD_IMS_URL for invalid base URLs', async () => {
+    expect(() => registerImsEnvironment('bad', 'not a url')).toThrow('IMS base URL must be an http(s) URL: not a url')
+    expect(() => registerImsEnvironment('bad', 'ftp://ims.example.com')).toThrow('BAD_IMS_URL')
+    expect(() => registerImsEnvironment('bad')).toThrow('BAD_IMS_URL')
+
+    process.env.AIO_IMS_BASE_URL = 'ims.example.com'
+    const error = await createAuthClient().generateAccessToken(validParams, 'prod').catch(e => e)
+    expect(error.code).toBe('BAD_IMS_URL')
+    expect(error.sdkDetails).toEqual({ baseUrl: 'ims.example.com', source: 'AIO_IMS_BASE_URL' })
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('throws MISSING_PARAMETERS without an environment name', () => {
+    expect(() => registerImsEnvironment('', 'https://ims.example.com')).toThrow('Missing required parameters: name')
+  })
+})
@@ -0,0 +1,29 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// Helper to create mock headers
+export const createMockHeaders = (headers = {}) => ({
+  get: (name) => headers[name.toLowerCase()] || null
+})
+
+// Helper to create a successful IMS token response
+export const mockTokenResponse = (response = { access_token: 'test-access-token', token_type: 'bearer', expires_in: 86399 }, headers = {}) => ({
+  ok: true,
+  status: 200,
+  headers: createMockHeaders(headers),
+  text: async () => JSON.stringify(response)
+})
+
+// Helper to create an unsigned IMS access token with the given claims
+export const createJwt = (claims) => {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url')
+  return `${encode({ alg: 'RS256', x5u: 'ims_na1-key-at-1.cer' })}.${encode(claims)}.signature`
+}
@@ -10,17 +10,13 @@ governing permissions and limitations under the License.
 */
 
 import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
-import { generateAccessToken, invalidateCache } from '../src/index.js'
+import { generateAccessToken, invalidateCache, revokeAccessToken } from '../src/index.js'
 import { IMS_OAUTH_S2S_INPUT } from '../src/constants.js'
+import { createMockHeaders, mockTokenResponse } from './helpers.mjs'
 
 // Mock fetch globally
 global.fetch = vi.fn()
 
-// Helper to create mock headers
-const createMockHeaders = (headers = {}) => ({
-  get: (name) => headers[name.toLowerCase()] || null
-})
-
 describe('generateAccessToken', () => {
   const validParams = {
     clientId: 'test-client-id',
@@ -48,12 +44,12 @@ describe('generateAccessToken', () => {
     fetch.mockResolvedValueOnce({
       ok: true,
       status: 200,
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     const result = await generateAccessToken(validParams)
 
-    expect(result).toEqual(mockSuccessResponse)
+    expect(result).toEqual({ ...mockSuccessResponse, expires_at: expect.any(Number) })
     expect(fetch).toHaveBeenCalledTimes(1)
   })
 
@@ -80,19 +76,66 @@ describe('generateAccessToken', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     const params = { [IMS_OAUTH_S2S_INPUT]: annotationCredentials }
     const result = await generateAccessToken(params)
 
-    expect(result).toEqual(mockSuccessResponse)
+    expect(result).toEqual({ ...mockSuccessResponse, expires_at: expect.any(Number) })
     expect(fetch).toHaveBeenCalledTimes(1)
     const callArgs = fetch.mock.calls[0][1]
     expect(callArgs.body).toContain('client_id=annotation-client-id')
     expect(callArgs.body).toContain('client_secret=annotation-client-secret')
     expect(callArgs.body).toContain('org_id=annotation-org-id')
   })
+
+  test.each([
+    ['JSON', (json) => json],
+    ['base64 encoded JSON', (json) => Buffer.from(json).toString('base64')]
+  ])('uses stringified %s credentials from the annotation', async (_, encode) => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify(mockSuccessResponse)
+    })
+
+    const annotationCredentials = JSON.stringify({ client_id: 'annotation-client-id', client_secret: 'annotation-client-secret', org_id: 'annotation-org-id' })
+    await generateAccessToken({ [IMS_OAUTH_S2S_INPUT]: encode(annotationCredentials) })
+
+    const callArgs = fetch.mock.calls[0][1]
+    expect(callArgs.body).toContain('client_id=annotation-client-id')
+    expect(callArgs.body).toContain('client_secret=annotation-client-secret')
+  })
+
+  test('throws the error of a stringified annotation rather than MISSING_PARAMETERS', async () => {
+    const error = await generateAccessToken({ [IMS_OAUTH_S2S_INPUT]: '{"client_id":' }).catch(e => e)
+
+    expect(error.code).toBe('BAD_CREDENTIALS_JSON')
+    expect(error.sdkDetails.encoding).toBe('json')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('throws MISSING_PARAMETERS for a stringified annotation with missing credentials', async () => {
+    await expect(generateAccessToken({ [IMS_OAUTH_S2S_INPUT]: '{"client_id":"annotation-client-id"}' }))
+      .rejects
+      .toThrow('Missing required parameters: clientSecret, orgId')
+  })
+
+  test('accepts stringified credentials as params', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify(mockSuccessResponse)
+    })
+
+    const result = await generateAccessToken(JSON.stringify(validParams))
+
+    expect(result.access_token).toBe('test-access-token')
+    expect(fetch.mock.calls[0][1].body).toContain('client_id=test-client-id')
+  })
 })
 
 describe('generateAccessToken - with caching', () => {
@@ -119,17 +162,17 @@ describe('generateAccessToken - with caching', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     // First call - should fetch
     const result1 = await generateAccessToken(validParams)
-    expect(result1).toEqual(mockSuccessResponse)
+    expect(result1).toEqual({ ...mockSuccessResponse, expires_at: expect.any(Number) })
     expect(fetch).toHaveBeenCalledTimes(1)
 
     // Second call - should return from cache
     const result2 = await generateAccessToken(validParams)
-    expect(result2).toEqual(mockSuccessResponse)
+    expect(result2).toEqual({ ...mockSuccessResponse, expires_at: expect.any(Number) })
     expect(fetch).toHaveBeenCalledTimes(1) // Still only 1 call
   })
 
@@ -138,7 +181,7 @@ describe('generateAccessToken - with caching', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams)
@@ -158,7 +201,7 @@ describe('generateAccessToken - with caching', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams, 'prod')
@@ -173,7 +216,7 @@ describe('generateAccessToken - with caching', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken({ ...validParams, scopes: ['openid'] })
@@ -188,7 +231,7 @@ describe('generateAccessToken - with caching', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken({ ...validParams, scopes: ['profile', 'openid'] })
@@ -203,7 +246,7 @@ describe('generateAccessToken - with caching', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     const paramsNoScopes = { ...validParams, scopes: [] }
@@ -219,7 +262,7 @@ describe('generateAccessToken - with caching', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     // First call
@@ -240,7 +283,7 @@ describe('generateAccessToken - with caching', () => {
       status: 401,
       statusText: 'Unauthorized',
       headers: createMockHeaders(),
-      json: async () => ({ error: 'unauthorized' })
+      text: async () => JSON.stringify({ error: 'unauthorized' })
     })
 
     // First call - should fail
@@ -257,6 +300,85 @@ describe('generateAccessToken - with caching', () => {
   })
 })
 
+describe('generateAccessToken - cache expiry', () => {
+  const validParams = {
+    clientId: 'test-client-id',
+    clientSecret: 'test-client-secret',
+    orgId: 'test-org-id',
+    scopes: ['openid']
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    invalidateCache()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('adds an absolute expires_at to the token response', async () => {
+    vi.setSystemTime(1000000)
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'token', expires_in: 3600 }))
+
+    const result = await generateAccessToken(validParams)
+    expect(result.expires_at).toBe(1000000 + 3600 * 1000)
+  })
+
+  test('keeps the token cached for expires_in minus the default 5 minute margin', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token', expires_in: 3600 }))
+
+    await generateAccessToken(validParams)
+    vi.advanceTimersByTime((3600 - 5 * 60) * 1000 - 1000)
+    await generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    vi.advanceTimersByTime(2000)
+    await generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('caches tokens for longer than 5 minutes', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token', expires_in: 86399 }))
+
+    await generateAccessToken(validParams)
+    vi.advanceTimersByTime(60 * 60 * 1000)
+    await generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('does not cache a token that expires within the margin', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token', expires_in: 60 }))
+
+    await generateAccessToken(validParams)
+    await generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('honors a custom expiryMargin', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token', expires_in: 60 }))
+
+    await generateAccessToken(validParams, 'prod', { expiryMargin: 10 * 1000 })
+    await generateAccessToken(validParams, 'prod', { expiryMargin: 10 * 1000 })
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    // a larger margin on a later call skips the cached token
+    await generateAccessToken(validParams, 'prod', { expiryMargin: 65 * 1000 })
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('still caches the token when the response has no expires_in', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'token' }))
+
+    const result = await generateAccessToken(validParams)
+    expect(result.expires_at).toBeUndefined()
+
+    await generateAccessToken(validParams)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+})
+
 describe('invalidateCache', () => {
   test('is a function', () => {
     expect(typeof invalidateCache).toBe('function')
@@ -306,12 +428,12 @@ describe('generateAccessToken - snake_case params support', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     const result = await generateAccessToken(snakeCaseParams)
 
-    expect(result).toEqual(mockSuccessResponse)
+    expect(result).toEqual({ ...mockSuccessResponse, expires_at: expect.any(Number) })
     expect(fetch).toHaveBeenCalledTimes(1)
   })
 
@@ -320,7 +442,7 @@ describe('generateAccessToken - snake_case params support', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(snakeCaseParams)
@@ -338,7 +460,7 @@ describe('generateAccessToken - snake_case params support', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(snakeCaseParams, 'stage')
@@ -354,7 +476,7 @@ describe('generateAccessToken - snake_case params support', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(snakeCaseParams)
@@ -390,7 +512,7 @@ describe('generateAccessToken - imsEnv parameter', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams, 'stage')
@@ -406,7 +528,7 @@ describe('generateAccessToken - imsEnv parameter', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams, 'prod')
@@ -422,7 +544,7 @@ describe('generateAccessToken - imsEnv parameter', () => {
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams)
@@ -433,20 +555,9 @@ describe('generateAccessToken - imsEnv parameter', () => {
     )
   })
 
-  test('uses prod IMS URL for unknown imsEnv values', async () => {
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      status: 200,
-      headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
-    })
-
-    await generateAccessToken(validParams, 'unknown')
-
-    expect(fetch).toHaveBeenCalledWith(
-      'https://ims-na1.adobelogin.com/ims/token/v2',
-      expect.any(Object)
-    )
+  test('rejects unknown imsEnv values', async () => {
+    await expect(generateAccessToken(validParams, 'unknown')).rejects.toThrow('UNKNOWN_IMS_ENV')
+    expect(fetch).not.toHaveBeenCalled()
   })
 })
 
@@ -486,7 +597,7 @@ describe('generateAccessToken - imsEnv default (ioRuntimeStageNamespace)', () =>
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams)
@@ -502,7 +613,7 @@ describe('generateAccessToken - imsEnv default (ioRuntimeStageNamespace)', () =>
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams)
@@ -518,7 +629,7 @@ describe('generateAccessToken - imsEnv default (ioRuntimeStageNamespace)', () =>
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams)
@@ -534,7 +645,7 @@ describe('generateAccessToken - imsEnv default (ioRuntimeStageNamespace)', () =>
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams, '')
@@ -550,7 +661,7 @@ describe('generateAccessToken - imsEnv default (ioRuntimeStageNamespace)', () =>
       ok: true,
       status: 200,
       headers: createMockHeaders(),
-      json: async () => mockSuccessResponse
+      text: async () => JSON.stringify(mockSuccessResponse)
     })
 
     await generateAccessToken(validParams, '')
@@ -579,8 +690,14 @@ describe('generateAccessToken - BAD_CREDENTIALS_FORMAT error', () => {
       .toThrow('BAD_CREDENTIALS_FORMAT')
   })
 
-  test('throws BAD_CREDENTIALS_FORMAT when params is a string', async () => {
+  test('throws BAD_CREDENTIALS_JSON when params is a string but not JSON', async () => {
     await expect(generateAccessToken('test'))
+      .rejects
+      .toThrow('BAD_CREDENTIALS_JSON')
+  })
+
+  test('throws BAD_CREDENTIALS_FORMAT when params is a JSON string but not an object', async () => {
+    await expect(generateAccessToken('[]'))
       .rejects
       .toThrow('BAD_CREDENTIALS_FORMAT')
   })
@@ -599,3 +716,72 @@ describe('generateAccessToken - BAD_CREDENTIALS_FORMAT error', () => {
     expect(error.sdkDetails.paramsType).toBe('object')
   })
 })
+
+describe('generateAccessToken - named credentials', () => {
+  const named = {
+    default: { clientId: 'default-client-id', clientSecret: 'default-client-secret', orgId: 'test-org-id' },
+    analytics: { client_id: 'analytics-client-id', client_secret: 'analytics-client-secret', org_id: 'test-org-id', scopes: ['openid'] }
+  }
+
+  const tokenResponse = (accessToken) => mockTokenResponse({ access_token: accessToken, token_type: 'bearer', expires_in: 86399 })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    invalidateCache()
+  })
+
+  test('gets tokens for the named credentials of the annotation', async () => {
+    fetch
+      .mockResolvedValueOnce(tokenResponse('default-token'))
+      .mockResolvedValueOnce(tokenResponse('analytics-token'))
+    const params = { [IMS_OAUTH_S2S_INPUT]: named }
+
+    expect((await generateAccessToken(params)).access_token).toBe('default-token')
+    expect((await generateAccessToken(params, undefined, { credentialName: 'analytics' })).access_token).toBe('analytics-token')
+    expect(fetch.mock.calls[0][1].body).toContain('client_id=default-client-id')
+    expect(fetch.mock.calls[1][1].body).toContain('client_id=analytics-client-id')
+
+    // each credential has its own cached token
+    expect((await generateAccessToken(params, undefined, { credentialName: 'analytics' })).access_token).toBe('analytics-token')
+    expect((await generateAccessToken(params)).access_token).toBe('default-token')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('a credential name ignores credentials in the params themselves', async () => {
+    fetch.mockResolvedValueOnce(tokenResponse('analytics-token'))
+    const params = { clientId: 'params-client-id', clientSecret: 'params-client-secret', orgId: 'test-org-id', [IMS_OAUTH_S2S_INPUT]: named }
+
+    await generateAccessToken(params, undefined, { credentialName: 'analytics' })
+    expect(fetch.mock.calls[0][1].body).toContain('client_id=analytics-client-id')
+  })
+
+  test('throws UNKNOWN_CREDENTIAL_NAME listing the available names', async () => {
+    const error = await generateAccessToken({ [IMS_OAUTH_S2S_INPUT]: named }, undefined, { credentialName: 'campaign' }).catch(e => e)
+
+    expect(error.code).toBe('UNKNOWN_CREDENTIAL_NAME')
+    expect(error.message).toContain('Available names are: default, analytics')
+    expect(error.sdkDetails.availableNames).toEqual(['default', 'analytics'])
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('throws UNKNOWN_CREDENTIAL_NAME without a default entry', async () => {
+    await expect(generateAccessToken({ [IMS_OAUTH_S2S_INPUT]: { analytics: named.analytics } }))
+      .rejects
+      .toThrow('Available names are: analytics')
+  })
+
+  test('throws the validation error of the named credentials', async () => {
+    await expect(generateAccessToken({ [IMS_OAUTH_S2S_INPUT]: { ...named, campaign: { clientId: 'campaign-client-id' } } }, undefined, { credentialName: 'campaign' }))
+      .rejects
+      .toThrow('Missing required parameters: clientSecret, orgId')
+  })
+
+  test('revokes tokens of named credentials', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, headers: createMockHeaders() })
+
+    await revokeAccessToken('test-access-token', { [IMS_OAUTH_S2S_INPUT]: named }, undefined, { credentialName: 'analytics' })
+    const body = new URLSearchParams(fetch.mock.calls[0][1].body)
+    expect(body.get('client_id')).toBe('analytics-client-id')
+    expect(body.get('client_secret')).toBe('analytics-client-secret')
+  })
+})
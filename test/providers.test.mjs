@@ -0,0 +1,287 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  createAuthClient,
+  resolveCredentials,
+  createParamsProvider,
+  createAnnotationProvider,
+  createEnvProvider,
+  createFileProvider
+} from '../src/index.js'
+import { mockTokenResponse } from './helpers.mjs'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const validParams = {
+  clientId: 'test-client-id',
+  clientSecret: 'test-client-secret',
+  orgId: 'test-org-id',
+  scopes: ['openid']
+}
+
+const envCredentials = {
+  IMS_CLIENT_ID: 'env-client-id',
+  IMS_CLIENT_SECRET: 'env-client-secret',
+  IMS_ORG_ID: 'env-org-id',
+  IMS_SCOPES: 'openid, AdobeID,'
+}
+
+describe('createParamsProvider', () => {
+  test('supplies the params', async () => {
+    const provider = createParamsProvider()
+    expect(provider.name).toBe('params')
+    expect(await provider.getCredentials(validParams)).toBe(validParams)
+  })
+
+  test('supplies nothing for named credentials', async () => {
+    expect(await createParamsProvider().getCredentials(validParams, { credentialName: 'analytics' })).toBeUndefined()
+  })
+})
+
+describe('createAnnotationProvider', () => {
+  test('supplies the annotation input', async () => {
+    const provider = createAnnotationProvider()
+    expect(provider.name).toBe('annotation')
+    expect(await provider.getCredentials({ __ims_oauth_s2s: validParams })).toBe(validParams)
+    expect(await provider.getCredentials({})).toBeUndefined()
+    expect(await provider.getCredentials(undefined)).toBeUndefined()
+  })
+
+  test('selects named credentials', async () => {
+    const params = { __ims_oauth_s2s: { default: validParams, analytics: { ...validParams, clientId: 'analytics-client-id' } } }
+    expect((await createAnnotationProvider().getCredentials(params, { credentialName: 'analytics' })).clientId).toBe('analytics-client-id')
+    await expect(createAnnotationProvider().getCredentials(params, { credentialName: 'campaign' })).rejects.toThrow('UNKNOWN_CREDENTIAL_NAME')
+  })
+})
+
+describe('createEnvProvider', () => {
+  test('supplies the IMS_* variables, with comma separated scopes', async () => {
+    const provider = createEnvProvider({ env: envCredentials })
+    expect(provider.name).toBe('env')
+    expect(await provider.getCredentials({})).toEqual({
+      clientId: 'env-client-id',
+      clientSecret: 'env-client-secret',
+      orgId: 'env-org-id',
+      scopes: ['openid', 'AdobeID']
+    })
+  })
+
+  test('supplies the variables that are set, for them to be reported as missing', async () => {
+    expect(await createEnvProvider({ env: { IMS_CLIENT_ID: 'env-client-id', IMS_ORG_ID: '' } }).getCredentials({})).toEqual({ clientId: 'env-client-id' })
+  })
+
+  test('supplies nothing without variables, or for named credentials', async () => {
+    expect(await createEnvProvider({ env: { PATH: '/usr/bin' } }).getCredentials({})).toBeUndefined()
+    expect(await createEnvProvider({ env: envCredentials }).getCredentials({}, { credentialName: 'analytics' })).toBeUndefined()
+  })
+
+  test('reads process.env by default', async () => {
+    vi.stubEnv('IMS_CLIENT_ID', 'process-client-id')
+    try {
+      expect(await createEnvProvider().getCredentials({})).toEqual({ clientId: 'process-client-id' })
+    } finally {
+      vi.unstubAllEnvs()
+    }
+  })
+})
+
+describe('createFileProvider', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aio-lib-core-auth-test-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('supplies the IMS_* variables of a .env file', async () => {
+    const file = path.join(dir, '.env')
+    fs.writeFileSync(file, [
+      '# IMS credentials',
+      'IMS_CLIENT_ID=file-client-id # the Developer Console client ID',
+      'export IMS_CLIENT_SECRET="file-client-secret"',
+      "IMS_ORG_ID='file-org-id@AdobeOrg' # quoted",
+      'IMS_SCOPES = openid,AdobeID',
+      'OTHER="multi\\nline"',
+      'not a variable'
+    ].join('\n'))
+
+    const provider = createFileProvider({ path: file })
+    expect(provider.name).toBe('file')
+    expect(await provider.getCredentials({})).toEqual({
+      clientId: 'file-client-id',
+      clientSecret: 'file-client-secret',
+      orgId: 'file-org-id@AdobeOrg',
+      scopes: ['openid', 'AdobeID']
+    })
+  })
+
+  test('supplies nothing for a .env file without IMS_* variables, or for named credentials', async () => {
+    const file = path.join(dir, '.env')
+    fs.writeFileSync(file, 'AIO_RUNTIME_NAMESPACE=test\r\nIMS_CLIENT_ID=file-client-id\r\n')
+    expect(await createFileProvider({ path: file }).getCredentials({}, { credentialName: 'analytics' })).toBeUndefined()
+
+    fs.writeFileSync(file, 'AIO_RUNTIME_NAMESPACE=test\n')
+    expect(await createFileProvider({ path: file }).getCredentials({})).toBeUndefined()
+  })
+
+  test('supplies the credentials of a JSON file, or the named credentials', async () => {
+    const file = path.join(dir, 'credentials.json')
+    fs.writeFileSync(file, JSON.stringify(validParams))
+    expect(await createFileProvider({ path: file }).getCredentials({})).toEqual(validParams)
+
+    fs.writeFileSync(file, JSON.stringify({ default: validParams, analytics: { ...validParams, clientId: 'analytics-client-id' } }))
+    expect((await createFileProvider({ path: file }).getCredentials({}, { credentialName: 'analytics' })).clientId).toBe('analytics-client-id')
+  })
+
+  test('fails on an invalid JSON file, without its content', async () => {
+    const file = path.join(dir, 'credentials.json')
+    fs.writeFileSync(file, '{"clientSecret": p8e-secret}')
+
+    const error = await createFileProvider({ path: file }).getCredentials({}).catch(e => e)
+    expect(error.code).toBe('BAD_CREDENTIALS_JSON')
+    expect(error.message).not.toContain('p8e-secret')
+  })
+
+  test('supplies nothing for a missing file, and fails on an unreadable one', async () => {
+    expect(await createFileProvider({ path: path.join(dir, 'missing.json') }).getCredentials({})).toBeUndefined()
+    await expect(createFileProvider({ path: dir }).getCredentials({})).rejects.toThrow('EISDIR')
+  })
+
+  test('reads .env in the working directory by default', async () => {
+    // the repository has no .env file
+    expect(await createFileProvider().getCredentials({})).toBeUndefined()
+  })
+})
+
+describe('createAuthClient - credential provider chain', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  test('reports the provider that supplied the credentials', async () => {
+    vi.stubEnv('IMS_CLIENT_ID', envCredentials.IMS_CLIENT_ID)
+    vi.stubEnv('IMS_CLIENT_SECRET', envCredentials.IMS_CLIENT_SECRET)
+    vi.stubEnv('IMS_ORG_ID', envCredentials.IMS_ORG_ID)
+
+    expect(await resolveCredentials(validParams)).toEqual({ provider: 'params', credentials: validParams })
+    expect((await resolveCredentials({ __ims_oauth_s2s: validParams })).provider).toBe('annotation')
+    expect(await resolveCredentials({ action: 'input' })).toEqual({
+      provider: 'env',
+      credentials: { clientId: 'env-client-id', clientSecret: 'env-client-secret', orgId: 'env-org-id', scopes: [] }
+    })
+  })
+
+  test('generateAccessToken gets tokens with credentials from the environment', async () => {
+    vi.stubEnv('IMS_CLIENT_ID', envCredentials.IMS_CLIENT_ID)
+    vi.stubEnv('IMS_CLIENT_SECRET', envCredentials.IMS_CLIENT_SECRET)
+    vi.stubEnv('IMS_ORG_ID', envCredentials.IMS_ORG_ID)
+    fetch.mockResolvedValueOnce(mockTokenResponse())
+
+    await createAuthClient().generateAccessToken({})
+    const body = new URLSearchParams(fetch.mock.calls[0][1].body)
+    expect(body.get('client_id')).toBe('env-client-id')
+    expect(body.get('client_secret')).toBe('env-client-secret')
+  })
+
+  test('uses the configured chain, in order', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aio-lib-core-auth-test-'))
+    try {
+      const file = path.join(dir, 'credentials.json')
+      fs.writeFileSync(file, JSON.stringify({ ...validParams, clientId: 'file-client-id' }))
+      const client = createAuthClient({
+        credentialProviders: [createFileProvider({ path: file }), createEnvProvider({ env: envCredentials })]
+      })
+
+      // the params are not part of the chain
+      const { credentials, provider } = await client.resolveCredentials(validParams)
+      expect(provider).toBe('file')
+      expect(credentials.clientId).toBe('file-client-id')
+
+      fs.rmSync(file)
+      expect((await client.resolveCredentials(validParams)).provider).toBe('env')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('supports custom providers', async () => {
+    const secretManager = { name: 'secrets', getCredentials: vi.fn().mockResolvedValue(JSON.stringify(validParams)) }
+    const client = createAuthClient({ credentialProviders: [secretManager] })
+
+    expect(await client.resolveCredentials({ action: 'input' }, { credentialName: 'analytics' })).toEqual({ provider: 'secrets', credentials: validParams })
+    expect(secretManager.getCredentials).toHaveBeenCalledWith({ action: 'input' }, { credentialName: 'analytics' })
+  })
+
+  test('throws the error of the params when no provider has credentials', async () => {
+    const error = await resolveCredentials({ clientId: 'test-client-id' }).catch(e => e)
+    expect(error.code).toBe('MISSING_PARAMETERS')
+    expect(error.message).toContain('clientSecret, orgId')
+
+    await expect(resolveCredentials(undefined)).rejects.toThrow('BAD_CREDENTIALS_FORMAT')
+  })
+
+  test('throws the error of other providers first, the params usually hold other inputs', async () => {
+    vi.stubEnv('IMS_CLIENT_ID', envCredentials.IMS_CLIENT_ID)
+
+    const error = await resolveCredentials({ action: 'input' }).catch(e => e)
+    expect(error.code).toBe('MISSING_PARAMETERS')
+    expect(error.message).toContain('Missing required parameters: clientSecret, orgId')
+  })
+
+  test('throws the error of params holding credentials, without falling back to the environment', async () => {
+    vi.stubEnv('IMS_CLIENT_ID', envCredentials.IMS_CLIENT_ID)
+    vi.stubEnv('IMS_CLIENT_SECRET', envCredentials.IMS_CLIENT_SECRET)
+    vi.stubEnv('IMS_ORG_ID', envCredentials.IMS_ORG_ID)
+
+    const error = await resolveCredentials({ clientId: 'test-client-id', orgId: 'test-org-id' }).catch(e => e)
+    expect(error.code).toBe('MISSING_PARAMETERS')
+    expect(error.message).toContain('Missing required parameters: clientSecret.')
+    await expect(resolveCredentials({ client_secret: 'test-client-secret' })).rejects.toThrow('Missing required parameters: clientId, orgId')
+    await expect(resolveCredentials('{"clientId":')).rejects.toThrow('BAD_CREDENTIALS_JSON')
+
+    await expect(createAuthClient().generateAccessToken({ clientId: 'test-client-id', orgId: 'test-org-id' })).rejects.toThrow('MISSING_PARAMETERS')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('throws MISSING_PARAMETERS when the chain has no params provider', async () => {
+    const client = createAuthClient({ credentialProviders: [createEnvProvider({ env: {} })] })
+
+    await expect(client.resolveCredentials(validParams)).rejects.toThrow('Missing required parameters: clientId, clientSecret, orgId')
+    await expect(client.resolveCredentials('{"clientId":')).rejects.toThrow('BAD_CREDENTIALS_JSON')
+  })
+
+  test('throws UNKNOWN_CREDENTIAL_NAME when no provider has the named credentials', async () => {
+    const error = await resolveCredentials(validParams, { credentialName: 'analytics' }).catch(e => e)
+    expect(error.code).toBe('UNKNOWN_CREDENTIAL_NAME')
+    expect(error.sdkDetails).toEqual({ credentialName: 'analytics', availableNames: [] })
+  })
+
+  test('revokeAccessToken resolves the credentials with the chain', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, headers: { get: () => null } })
+    const client = createAuthClient({ credentialProviders: [createEnvProvider({ env: envCredentials })] })
+
+    await client.revokeAccessToken('test-access-token', {})
+    expect(new URLSearchParams(fetch.mock.calls[0][1].body).get('client_id')).toBe('env-client-id')
+  })
+})
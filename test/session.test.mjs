@@ -0,0 +1,251 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createAuthClient, refreshAccessToken, createUserSession } from '../src/index.js'
+import { createMockHeaders, mockTokenResponse, createJwt } from './helpers.mjs'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const errorResponse = () => ({
+  ok: false,
+  status: 400,
+  statusText: 'Bad Request',
+  headers: createMockHeaders({ 'x-debug-id': 'debug-400' }),
+  text: async () => JSON.stringify({ error: 'invalid_grant', error_description: 'refresh token expired' })
+})
+
+const HOUR = 60 * 60 * 1000
+
+describe('refreshAccessToken', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('is a function', () => {
+    expect(typeof refreshAccessToken).toBe('function')
+  })
+
+  test('uses the refresh_token grant at /ims/token/v3', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 86399 }))
+
+    const result = await refreshAccessToken({
+      clientId: 'test-client-id',
+      clientSecret: 'test-client-secret',
+      refreshToken: 'refresh-1'
+    })
+    expect(result).toEqual({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 86399, expires_at: expect.any(Number) })
+
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1.adobelogin.com/ims/token/v3')
+    expect(fetch.mock.calls[0][1].headers['Content-Type']).toBe('application/x-www-form-urlencoded')
+    expect(Object.fromEntries(new URLSearchParams(fetch.mock.calls[0][1].body))).toEqual({
+      grant_type: 'refresh_token',
+      client_id: 'test-client-id',
+      client_secret: 'test-client-secret',
+      refresh_token: 'refresh-1'
+    })
+  })
+
+  test('omits the client secret for public clients', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-2', expires_in: 86399 }))
+
+    await refreshAccessToken({ clientId: 'test-client-id', refreshToken: 'refresh-1', env: 'stage' })
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/token/v3')
+    expect(new URLSearchParams(fetch.mock.calls[0][1].body).has('client_secret')).toBe(false)
+  })
+
+  test('never retries the refresh, IMS may already have rotated the refresh token', async () => {
+    fetch.mockRejectedValueOnce(new Error('ECONNRESET'))
+
+    await expect(refreshAccessToken({ clientId: 'test-client-id', refreshToken: 'refresh-1' })).rejects.toThrow('IMS_NETWORK_ERROR')
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('throws MISSING_PARAMETERS without clientId or refreshToken', async () => {
+    await expect(refreshAccessToken()).rejects.toThrow('Missing required parameters: clientId, refreshToken')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('throws IMS_INVALID_GRANT with the x-debug-id when IMS rejects the refresh token', async () => {
+    fetch.mockResolvedValueOnce(errorResponse())
+
+    const error = await refreshAccessToken({ clientId: 'test-client-id', refreshToken: 'refresh-1' }).catch(e => e)
+    expect(error.code).toBe('IMS_INVALID_GRANT')
+    expect(error.message).toContain('refresh token expired')
+    expect(error.sdkDetails).toEqual(expect.objectContaining({ statusCode: 400, error: 'invalid_grant', xDebugId: 'debug-400', clientId: 'test-client-id' }))
+    expect(JSON.stringify(error.sdkDetails)).not.toContain('refresh-1')
+  })
+})
+
+describe('createUserSession', () => {
+  const sessionParams = (tokens) => ({
+    clientId: 'test-client-id',
+    clientSecret: 'test-client-secret',
+    tokens: { access_token: 'access-1', refresh_token: 'refresh-1', expires_at: Date.now() + 24 * HOUR, ...tokens }
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('is a function', () => {
+    expect(typeof createUserSession).toBe('function')
+  })
+
+  test('returns the current access token while it is fresh', async () => {
+    const session = createUserSession(sessionParams())
+
+    expect(await session.getAccessToken()).toBe('access-1')
+    expect(session.getTokens().refresh_token).toBe('refresh-1')
+    expect(fetch).not.toHaveBeenCalled()
+    session.stop()
+  })
+
+  test('refreshes the access token within the expiry margin', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-2', expires_in: 86399 }))
+    const session = createUserSession({ ...sessionParams({ expires_at: Date.now() + 60 * 1000 }), autoRefresh: false })
+
+    expect(await session.getAccessToken()).toBe('access-2')
+    // IMS did not rotate the refresh token, the previous one is kept
+    expect(session.getTokens().refresh_token).toBe('refresh-1')
+    expect(new URLSearchParams(fetch.mock.calls[0][1].body).get('refresh_token')).toBe('refresh-1')
+  })
+
+  test('refreshes automatically before expiry', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'access-2', expires_in: 86399 }))
+    const onRefresh = vi.fn()
+    const session = createUserSession({ ...sessionParams({ expires_at: Date.now() + HOUR }), expiryMargin: 10 * 60 * 1000 })
+    session.on('refresh', onRefresh)
+
+    await vi.advanceTimersByTimeAsync(49 * 60 * 1000)
+    expect(fetch).not.toHaveBeenCalled()
+
+    await vi.advanceTimersByTimeAsync(60 * 1000)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    expect(onRefresh).toHaveBeenCalledWith(expect.objectContaining({ access_token: 'access-2', refresh_token: 'refresh-1' }))
+
+    // the next refresh is scheduled from the new expiry
+    await vi.advanceTimersByTimeAsync(23 * HOUR)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(HOUR)
+    expect(fetch).toHaveBeenCalledTimes(2)
+    session.stop()
+  })
+
+  test('caps the expiry margin at half the lifetime of short lived tokens', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'access-2', expires_in: 60 }))
+    const session = createUserSession(sessionParams({ expires_at: Date.now() + 60 * 1000, expires_in: 60 }))
+
+    // the default 5 minute margin is longer than the 60s lifetime, the refresh is not immediate
+    await vi.advanceTimersByTimeAsync(29 * 1000)
+    expect(fetch).not.toHaveBeenCalled()
+    expect(await session.getAccessToken()).toBe('access-1')
+
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    // nor is the next one
+    await vi.advanceTimersByTimeAsync(29 * 1000)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(fetch).toHaveBeenCalledTimes(2)
+    session.stop()
+  })
+
+  test('emits refreshTokenRotated when IMS rotates the refresh token', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 86399 }))
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-3', refresh_token: 'refresh-2', expires_in: 86399 }))
+    const onRotated = vi.fn()
+    const session = createUserSession({ ...sessionParams(), autoRefresh: false })
+    session.on('refreshTokenRotated', onRotated)
+
+    await session.refresh()
+    expect(onRotated).toHaveBeenCalledWith({ refreshToken: 'refresh-2' })
+    expect(session.getTokens().refresh_token).toBe('refresh-2')
+
+    // the rotated refresh token is used next, and is not reported again
+    await session.refresh()
+    expect(new URLSearchParams(fetch.mock.calls[1][1].body).get('refresh_token')).toBe('refresh-2')
+    expect(onRotated).toHaveBeenCalledTimes(1)
+  })
+
+  test('shares a refresh between concurrent callers', async () => {
+    fetch.mockResolvedValue(mockTokenResponse({ access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 86399 }))
+    const session = createUserSession({ ...sessionParams({ expires_at: Date.now() }), autoRefresh: false })
+
+    const tokens = await Promise.all([session.getAccessToken(), session.getAccessToken()])
+    expect(tokens).toEqual(['access-2', 'access-2'])
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('emits refreshError when a scheduled refresh fails, getAccessToken tries again', async () => {
+    fetch.mockResolvedValueOnce(errorResponse())
+    const onError = vi.fn()
+    const session = createUserSession(sessionParams({ expires_at: Date.now() + HOUR }))
+    session.on('refreshError', onError)
+
+    await vi.advanceTimersByTimeAsync(HOUR)
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'IMS_INVALID_GRANT' }))
+
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-2', expires_in: 86399 }))
+    expect(await session.getAccessToken()).toBe('access-2')
+    session.stop()
+  })
+
+  test('stop cancels the scheduled refresh', async () => {
+    const session = createUserSession(sessionParams({ expires_at: Date.now() + HOUR }))
+    session.stop()
+
+    await vi.advanceTimersByTimeAsync(2 * HOUR)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('reads the expiry from the access token claims', async () => {
+    const accessToken = createJwt({ created_at: String(Date.now()), expires_in: String(HOUR) })
+    const session = createUserSession({ ...sessionParams({ access_token: accessToken, expires_at: undefined }), autoRefresh: false })
+
+    expect(await session.getAccessToken()).toBe(accessToken)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('refreshes tokens with an unknown expiry', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-2', expires_in: 86399 }))
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-3', expires_in: 86399 }))
+    const session = createUserSession(sessionParams({ expires_at: undefined }))
+    const jwtSession = createUserSession(sessionParams({ access_token: createJwt({ client_id: 'test-client-id' }), expires_at: undefined }))
+
+    expect(await session.getAccessToken()).toBe('access-2')
+    expect(await jwtSession.getAccessToken()).toBe('access-3')
+    session.stop()
+    jwtSession.stop()
+  })
+
+  test('uses the client env and expiry margin', async () => {
+    fetch.mockResolvedValueOnce(mockTokenResponse({ access_token: 'access-2', expires_in: 86399 }))
+    const client = createAuthClient({ env: 'stage', expiryMargin: 2 * HOUR })
+    const session = client.createUserSession({ ...sessionParams({ expires_at: Date.now() + HOUR }), autoRefresh: false })
+
+    expect(await session.getAccessToken()).toBe('access-2')
+    expect(fetch.mock.calls[0][0]).toBe('https://ims-na1-stg1.adobelogin.com/ims/token/v3')
+  })
+
+  test('throws MISSING_PARAMETERS without clientId or tokens', () => {
+    expect(() => createUserSession({ tokens: sessionParams().tokens })).toThrow('Missing required parameters: clientId')
+    expect(() => createUserSession({ clientId: 'test-client-id' })).toThrow('Missing required parameters: tokens.access_token, tokens.refresh_token')
+    expect(() => createUserSession()).toThrow('MISSING_PARAMETERS')
+  })
+})
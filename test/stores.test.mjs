@@ -0,0 +1,149 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createFileStore, createStateStore } from '../src/index.js'
+
+const token = {
+  access_token: 'test-access-token',
+  token_type: 'bearer',
+  expires_in: 86399
+}
+
+describe('createFileStore', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aio-lib-core-auth-test-'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('returns undefined for a missing key', async () => {
+    const store = createFileStore({ dir })
+    expect(await store.get('missing')).toBeUndefined()
+  })
+
+  test('stores and retrieves a value', async () => {
+    const store = createFileStore({ dir })
+    await store.set('key', token, 60 * 1000)
+    expect(await store.get('key')).toEqual(token)
+  })
+
+  test('entries are shared between store instances on the same directory', async () => {
+    await createFileStore({ dir }).set('key', token, 60 * 1000)
+    expect(await createFileStore({ dir }).get('key')).toEqual(token)
+  })
+
+  test('creates the directory if needed', async () => {
+    const store = createFileStore({ dir: path.join(dir, 'nested') })
+    await store.set('key', token, 60 * 1000)
+    expect(fs.existsSync(path.join(dir, 'nested', 'key.json'))).toBe(true)
+  })
+
+  test('expired entries are removed', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const store = createFileStore({ dir })
+    await store.set('key', token, 60 * 1000)
+
+    vi.advanceTimersByTime(60 * 1000)
+    expect(await store.get('key')).toBeUndefined()
+    expect(fs.existsSync(path.join(dir, 'key.json'))).toBe(false)
+  })
+
+  test('delete removes an entry', async () => {
+    const store = createFileStore({ dir })
+    await store.set('key', token, 60 * 1000)
+    await store.delete('key')
+    expect(await store.get('key')).toBeUndefined()
+  })
+
+  test('delete of a missing key does not throw', async () => {
+    const store = createFileStore({ dir })
+    await expect(store.delete('missing')).resolves.toBeUndefined()
+  })
+
+  test('corrupted entries are cache misses', async () => {
+    fs.writeFileSync(path.join(dir, 'key.json'), 'not json')
+    const store = createFileStore({ dir })
+    expect(await store.get('key')).toBeUndefined()
+  })
+
+  test('uses a directory in the os tmpdir by default', async () => {
+    const store = createFileStore()
+    const key = `test-${Date.now()}`
+    await store.set(key, token, 60 * 1000)
+    expect(fs.existsSync(path.join(os.tmpdir(), 'aio-lib-core-auth', `${key}.json`))).toBe(true)
+    await store.delete(key)
+  })
+})
+
+describe('createStateStore', () => {
+  let state
+
+  beforeEach(() => {
+    state = {
+      get: vi.fn(),
+      put: vi.fn(),
+      delete: vi.fn()
+    }
+  })
+
+  test('get returns the parsed value', async () => {
+    state.get.mockResolvedValueOnce({ value: JSON.stringify(token), expiration: 'x' })
+    const store = createStateStore(state)
+
+    expect(await store.get('key')).toEqual(token)
+    expect(state.get).toHaveBeenCalledWith('aio-lib-core-auth.key')
+  })
+
+  test('get returns undefined for a missing key', async () => {
+    state.get.mockResolvedValueOnce(undefined)
+    const store = createStateStore(state)
+    expect(await store.get('key')).toBeUndefined()
+  })
+
+  test('get returns undefined for a non string value', async () => {
+    state.get.mockResolvedValueOnce({ value: null })
+    const store = createStateStore(state)
+    expect(await store.get('key')).toBeUndefined()
+  })
+
+  test('set stores a stringified value with a ttl in seconds', async () => {
+    const store = createStateStore(state)
+    await store.set('key', token, 61500)
+    expect(state.put).toHaveBeenCalledWith('aio-lib-core-auth.key', JSON.stringify(token), { ttl: 61 })
+  })
+
+  test('set skips values expiring in less than a second', async () => {
+    const store = createStateStore(state)
+    await store.set('key', token, 999)
+    expect(state.put).not.toHaveBeenCalled()
+  })
+
+  test('delete removes the prefixed key', async () => {
+    const store = createStateStore(state)
+    await store.delete('key')
+    expect(state.delete).toHaveBeenCalledWith('aio-lib-core-auth.key')
+  })
+
+  test('supports a custom key prefix', async () => {
+    const store = createStateStore(state, { keyPrefix: 'tokens.' })
+    await store.delete('key')
+    expect(state.delete).toHaveBeenCalledWith('tokens.key')
+  })
+})
@@ -0,0 +1,132 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, afterEach, vi } from 'vitest'
+import { getTokenInfo, isTokenExpired } from '../src/index.js'
+import { createJwt } from './helpers.mjs'
+
+// Helper to create an unsigned JWT with the given claims
+const imsClaims = {
+  id: '1234567890',
+  type: 'access_token',
+  client_id: 'test-client-id',
+  user_id: 'test-user-id@techacct.adobe.com',
+  as: 'ims-na1',
+  aa_id: 'test-user-id@techacct.adobe.com',
+  org: 'test-org-id@AdobeOrg',
+  created_at: '1767225600000',
+  expires_in: '86400000',
+  scope: 'openid,AdobeID,read_organizations'
+}
+
+describe('getTokenInfo', () => {
+  test('is a function', () => {
+    expect(typeof getTokenInfo).toBe('function')
+  })
+
+  test('decodes IMS access token claims', () => {
+    const info = getTokenInfo(createJwt(imsClaims))
+
+    expect(info).toEqual({
+      type: 'access_token',
+      clientId: 'test-client-id',
+      userId: 'test-user-id@techacct.adobe.com',
+      orgId: 'test-org-id@AdobeOrg',
+      as: 'ims-na1',
+      scopes: ['openid', 'AdobeID', 'read_organizations'],
+      createdAt: new Date(1767225600000),
+      expiresIn: 86400000,
+      expiresAt: new Date(1767225600000 + 86400000),
+      claims: imsClaims
+    })
+  })
+
+  test('accepts a token response', () => {
+    const info = getTokenInfo({ access_token: createJwt(imsClaims), expires_in: 86399 })
+    expect(info.clientId).toBe('test-client-id')
+  })
+
+  test('accepts numeric created_at and expires_in claims', () => {
+    const info = getTokenInfo(createJwt({ ...imsClaims, created_at: 1000, expires_in: 2000 }))
+    expect(info.expiresAt).toEqual(new Date(3000))
+  })
+
+  test('returns null dates and empty scopes when the claims are missing', () => {
+    const info = getTokenInfo(createJwt({ type: 'access_token' }))
+
+    expect(info.scopes).toEqual([])
+    expect(info.createdAt).toBeNull()
+    expect(info.expiresIn).toBeNull()
+    expect(info.expiresAt).toBeNull()
+  })
+
+  test('returns a null expiry for non numeric claims', () => {
+    const info = getTokenInfo(createJwt({ ...imsClaims, expires_in: 'soon' }))
+
+    expect(info.createdAt).toEqual(new Date(1767225600000))
+    expect(info.expiresIn).toBeNull()
+    expect(info.expiresAt).toBeNull()
+  })
+
+  test.each([
+    ['not a string', 123, 'token must be a string'],
+    ['null', null, 'token must be a string'],
+    ['a token response without access_token', {}, 'token must be a string'],
+    ['not a JWT', 'not-a-jwt', 'token must have 3 dot-separated parts'],
+    ['a JWT with an invalid payload', 'header.%%%.signature', 'token payload is not valid JSON'],
+    ['a JWT with a non object payload', `header.${Buffer.from('"claims"').toString('base64url')}.signature`, 'token payload is not an object'],
+    ['a JWT with an array payload', `header.${Buffer.from('[]').toString('base64url')}.signature`, 'token payload is not an object']
+  ])('throws BAD_TOKEN_FORMAT when the token is %s', (_, token, reason) => {
+    let error
+    try {
+      getTokenInfo(token)
+    } catch (e) {
+      error = e
+    }
+    expect(error.name).toBe('AuthSDKError')
+    expect(error.code).toBe('BAD_TOKEN_FORMAT')
+    expect(error.message).toContain(reason)
+    expect(error.sdkDetails.reason).toBe(reason)
+  })
+})
+
+describe('isTokenExpired', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('returns false before the token expiry', () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(1767225600000 + 86400000 - 1)
+    expect(isTokenExpired(createJwt(imsClaims))).toBe(false)
+  })
+
+  test('returns true at the token expiry', () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(1767225600000 + 86400000)
+    expect(isTokenExpired(createJwt(imsClaims))).toBe(true)
+  })
+
+  test('takes the skew into account', () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(1767225600000 + 86400000 - 60 * 1000)
+    expect(isTokenExpired(createJwt(imsClaims))).toBe(false)
+    expect(isTokenExpired(createJwt(imsClaims), 60 * 1000)).toBe(true)
+  })
+
+  test('considers tokens without expiry claims expired', () => {
+    expect(isTokenExpired(createJwt({ type: 'access_token' }))).toBe(true)
+  })
+
+  test('throws BAD_TOKEN_FORMAT on malformed tokens', () => {
+    expect(() => isTokenExpired('not-a-jwt')).toThrow('BAD_TOKEN_FORMAT')
+  })
+})
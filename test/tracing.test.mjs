@@ -0,0 +1,171 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeAll, beforeEach, vi } from 'vitest'
+import { createRequire } from 'module'
+import { context, trace, SpanStatusCode } from '@opentelemetry/api'
+import { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base'
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks'
+import { createAuthClient } from '../src/index.js'
+import { createMockHeaders, mockTokenResponse } from './helpers.mjs'
+
+// load the CommonJS modules the same way src/index.js does, so that coverage merges across test files
+const require = createRequire(import.meta.url)
+const { getAccessTokenByClientCredentials } = require('../src/ims.js')
+const { loadOpenTelemetry, withSpan } = require('../src/tracing.js')
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const validParams = {
+  clientId: 'test-client-id',
+  clientSecret: 'test-client-secret',
+  orgId: 'test-org-id',
+  scopes: ['openid']
+}
+
+const tokenResponse = (response = { access_token: 'test-access-token', token_type: 'bearer', expires_in: 86399 }) => mockTokenResponse(response, { 'x-debug-id': 'debug-id-ok' })
+
+const errorResponse = (status, body = {}) => ({
+  ok: false,
+  status,
+  statusText: 'Error',
+  headers: createMockHeaders({ 'x-debug-id': 'debug-id-error' }),
+  text: async () => JSON.stringify(body)
+})
+
+const exporter = new InMemorySpanExporter()
+
+// finished spans by name
+const getSpans = (name) => exporter.getFinishedSpans().filter(span => span.name === name)
+
+describe('OpenTelemetry tracing', () => {
+  beforeAll(() => {
+    const provider = new BasicTracerProvider()
+    provider.addSpanProcessor(new SimpleSpanProcessor(exporter))
+    trace.setGlobalTracerProvider(provider)
+    context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable())
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    exporter.reset()
+  })
+
+  test('traces a cache miss, with the IMS call as a child span', async () => {
+    fetch.mockResolvedValueOnce(tokenResponse())
+    await createAuthClient().generateAccessToken(validParams, 'stage')
+
+    const [span] = getSpans('generateAccessToken')
+    expect(span.attributes).toEqual({
+      'aio.auth.ims_env': 'stage',
+      'aio.auth.client_id': 'test-client-id',
+      'aio.auth.credential_provider': 'params',
+      'aio.auth.cache': 'miss'
+    })
+    expect(span.status.code).toBe(SpanStatusCode.UNSET)
+
+    const [imsSpan] = getSpans('getAccessTokenByClientCredentials')
+    expect(imsSpan.parentSpanId).toBe(span.spanContext().spanId)
+    expect(imsSpan.attributes).toEqual({
+      'aio.auth.ims_env': 'stage',
+      'aio.auth.client_id': 'test-client-id',
+      'http.response.status_code': 200,
+      'aio.auth.x_debug_id': 'debug-id-ok',
+      'aio.auth.retry_count': 0
+    })
+  })
+
+  test('traces a cache hit without calling IMS', async () => {
+    fetch.mockResolvedValueOnce(tokenResponse())
+    const client = createAuthClient()
+    await client.generateAccessToken(validParams)
+    exporter.reset()
+
+    await client.generateAccessToken(validParams)
+    expect(exporter.getFinishedSpans()).toHaveLength(1)
+    expect(getSpans('generateAccessToken')[0].attributes).toMatchObject({ 'aio.auth.cache': 'hit', 'aio.auth.cache_source': 'memory' })
+  })
+
+  test('records the retry count', async () => {
+    fetch
+      .mockResolvedValueOnce(errorResponse(503))
+      .mockResolvedValueOnce(tokenResponse())
+    await createAuthClient({ retry: { initialDelay: 1 } }).generateAccessToken(validParams)
+
+    expect(getSpans('getAccessTokenByClientCredentials')[0].attributes['aio.auth.retry_count']).toBe(1)
+  })
+
+  test('records failures with the AuthSDKError code and the IMS response', async () => {
+    fetch.mockResolvedValueOnce(errorResponse(401, { error: 'invalid_client', error_description: 'Invalid client credentials' }))
+    await expect(createAuthClient().generateAccessToken(validParams)).rejects.toThrow('Invalid client credentials')
+
+    for (const span of [...getSpans('generateAccessToken'), ...getSpans('getAccessTokenByClientCredentials')]) {
+      expect(span.status).toEqual({ code: SpanStatusCode.ERROR, message: expect.stringContaining('Invalid client credentials') })
+      expect(span.attributes).toMatchObject({
+        'aio.auth.error_code': 'IMS_INVALID_CLIENT',
+        'http.response.status_code': 401,
+        'aio.auth.x_debug_id': 'debug-id-error',
+        'aio.auth.retry_count': 0
+      })
+      expect(span.events[0].name).toBe('exception')
+    }
+  })
+
+  test('records invalid credentials', async () => {
+    await expect(createAuthClient().generateAccessToken({ clientId: 'test-client-id' })).rejects.toThrow()
+
+    const [span] = getSpans('generateAccessToken')
+    expect(span.attributes['aio.auth.error_code']).toBe('MISSING_PARAMETERS')
+    expect(span.attributes).not.toHaveProperty('http.response.status_code')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('flags stale tokens', async () => {
+    // expires within the expiry margin, so it is not cached, but kept for staleIfError
+    fetch.mockResolvedValueOnce(tokenResponse({ access_token: 'test-access-token', expires_in: 120 }))
+    const client = createAuthClient({ staleIfError: true, retry: { maxAttempts: 1 } })
+    await client.generateAccessToken(validParams)
+    exporter.reset()
+
+    fetch.mockResolvedValueOnce(errorResponse(503))
+    expect((await client.generateAccessToken(validParams)).stale).toBe(true)
+    expect(getSpans('generateAccessToken')[0].attributes).toMatchObject({ 'aio.auth.cache': 'miss', 'aio.auth.stale': true })
+  })
+
+  test('defaults the env of direct IMS calls to prod', async () => {
+    fetch.mockResolvedValueOnce(tokenResponse())
+    await getAccessTokenByClientCredentials(validParams)
+
+    expect(getSpans('getAccessTokenByClientCredentials')[0].attributes['aio.auth.ims_env']).toBe('prod')
+  })
+
+  test('records errors without a code', async () => {
+    await expect(withSpan('test', {}, async () => { throw new Error('boom') })).rejects.toThrow('boom')
+
+    const [span] = getSpans('test')
+    expect(span.status.code).toBe(SpanStatusCode.ERROR)
+    expect(span.attributes).toEqual({})
+  })
+
+  test('is a no-op without @opentelemetry/api', async () => {
+    expect(loadOpenTelemetry()).not.toBeNull()
+    expect(loadOpenTelemetry(() => { throw new Error('Cannot find module') })).toBeNull()
+
+    const result = await withSpan('test', {}, async (span) => {
+      span.setAttribute('key', 'value')
+      span.setAttributes({ key: 'value' })
+      return 'result'
+    }, null)
+    expect(result).toBe('result')
+    expect(exporter.getFinishedSpans()).toHaveLength(0)
+  })
+})
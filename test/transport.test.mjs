@@ -0,0 +1,183 @@
+/*
+Copyright 2026 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import http from 'http'
+import net from 'net'
+import { Agent, MockAgent, ProxyAgent, fetch as undiciFetch } from 'undici'
+import { createAuthClient } from '../src/index.js'
+import { createMockHeaders } from './helpers.mjs'
+
+const validParams = {
+  clientId: 'test-client-id',
+  clientSecret: 'test-client-secret',
+  orgId: 'test-org-id',
+  scopes: ['openid']
+}
+
+const tokenResponse = { access_token: 'test-access-token', token_type: 'bearer', expires_in: 86399 }
+
+const PROXY_ENV_VARS = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'NO_PROXY', 'no_proxy']
+
+describe('IMS transport', () => {
+  const originalEnv = {}
+  let fetch
+
+  // gets the dispatcher passed to fetch for a token call
+  const getDispatcher = async (clientOptions = {}, imsEnv = 'prod') => {
+    fetch.mockClear()
+    await createAuthClient({ fetch, ...clientOptions }).generateAccessToken(validParams, imsEnv)
+    return fetch.mock.calls[0][1].dispatcher
+  }
+
+  beforeEach(() => {
+    PROXY_ENV_VARS.forEach(name => {
+      originalEnv[name] = process.env[name]
+      delete process.env[name]
+    })
+    fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: createMockHeaders(),
+      text: async () => JSON.stringify(tokenResponse)
+    })
+  })
+
+  afterEach(() => {
+    PROXY_ENV_VARS.forEach(name => {
+      if (originalEnv[name] === undefined) {
+        delete process.env[name]
+      } else {
+        process.env[name] = originalEnv[name]
+      }
+    })
+  })
+
+  test('does not set a dispatcher by default', async () => {
+    await createAuthClient({ fetch }).generateAccessToken(validParams)
+    expect(fetch.mock.calls[0][1]).not.toHaveProperty('dispatcher')
+  })
+
+  test('uses the HTTPS_PROXY environment variable', async () => {
+    process.env.HTTPS_PROXY = 'http://proxy.example.com:3128'
+    expect(await getDispatcher()).toBeInstanceOf(ProxyAgent)
+
+    delete process.env.HTTPS_PROXY
+    process.env.https_proxy = 'http://proxy.example.com:3128'
+    expect(await getDispatcher()).toBeInstanceOf(ProxyAgent)
+  })
+
+  test('uses the HTTP_PROXY environment variable for http IMS URLs only', async () => {
+    process.env.HTTP_PROXY = 'http://proxy.example.com:3128'
+    expect(await getDispatcher()).toBeUndefined()
+    expect(await getDispatcher({ imsBaseUrl: 'http://ims.example.com' })).toBeInstanceOf(ProxyAgent)
+
+    delete process.env.HTTP_PROXY
+    process.env.http_proxy = 'http://proxy.example.com:3128'
+    expect(await getDispatcher({ imsBaseUrl: 'http://ims.example.com' })).toBeInstanceOf(ProxyAgent)
+  })
+
+  test.each([
+    ['*'],
+    ['ims-na1.adobelogin.com'],
+    ['localhost, adobelogin.com'],
+    ['.adobelogin.com'],
+    ['*.ADOBELOGIN.com'],
+    ['ims-na1.adobelogin.com:443']
+  ])('honors NO_PROXY=%s', async (noProxy) => {
+    process.env.HTTPS_PROXY = 'http://proxy.example.com:3128'
+    process.env.NO_PROXY = noProxy
+    expect(await getDispatcher()).toBeUndefined()
+  })
+
+  test.each([
+    ['example.com'],
+    ['login.com'],
+    ['ims-na1.adobelogin.com:8443']
+  ])('proxies hosts not matching NO_PROXY=%s', async (noProxy) => {
+    process.env.HTTPS_PROXY = 'http://proxy.example.com:3128'
+    process.env.no_proxy = noProxy
+    expect(await getDispatcher()).toBeInstanceOf(ProxyAgent)
+  })
+
+  test('the proxy option takes precedence over the environment variables', async () => {
+    process.env.HTTPS_PROXY = 'http://proxy.example.com:3128'
+    const dispatcher = await getDispatcher({ proxy: 'http://other-proxy.example.com:3128' })
+    expect(dispatcher).toBeInstanceOf(ProxyAgent)
+    expect(dispatcher).not.toBe(await getDispatcher())
+
+    expect(await getDispatcher({ proxy: false })).toBeUndefined()
+  })
+
+  test('uses an agent for extra CA certificates and keep-alive', async () => {
+    const caDispatcher = await getDispatcher({ ca: '-----BEGIN CERTIFICATE-----\n...' })
+    expect(caDispatcher).toBeInstanceOf(Agent)
+    // clients with the same settings share connections
+    expect(await getDispatcher({ ca: ['-----BEGIN CERTIFICATE-----\n...'] })).toBe(caDispatcher)
+
+    const keepAliveDispatcher = await getDispatcher({ keepAliveTimeout: 30000 })
+    expect(keepAliveDispatcher).toBeInstanceOf(Agent)
+    expect(keepAliveDispatcher).not.toBe(caDispatcher)
+  })
+
+  test('passes a custom dispatcher as is', async () => {
+    process.env.HTTPS_PROXY = 'http://proxy.example.com:3128'
+    const dispatcher = new Agent()
+    expect(await getDispatcher({ dispatcher })).toBe(dispatcher)
+  })
+
+  test('works with an injected fake transport', async () => {
+    const mockAgent = new MockAgent()
+    mockAgent.disableNetConnect()
+    mockAgent.get('https://ims-na1.adobelogin.com')
+      .intercept({ path: '/ims/token/v2', method: 'POST' })
+      .reply(200, tokenResponse, { headers: { 'content-type': 'application/json' } })
+
+    const client = createAuthClient({ fetch: undiciFetch, dispatcher: mockAgent })
+    const result = await client.generateAccessToken(validParams)
+    expect(result.access_token).toBe('test-access-token')
+    mockAgent.assertNoPendingInterceptors()
+    await mockAgent.close()
+  })
+
+  test('sends IMS requests through the proxy', async () => {
+    const ims = http.createServer((req, res) => {
+      res.setHeader('content-type', 'application/json')
+      res.end(JSON.stringify(tokenResponse))
+    })
+    const tunnels = []
+    const proxy = http.createServer()
+    proxy.on('connect', (req, socket) => {
+      tunnels.push(req.url)
+      const [host, port] = req.url.split(':')
+      const upstream = net.connect(Number(port), host, () => {
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+        upstream.pipe(socket)
+        socket.pipe(upstream)
+      })
+    })
+    await Promise.all([ims, proxy].map(server => new Promise(resolve => server.listen(0, '127.0.0.1', resolve))))
+    const imsPort = ims.address().port
+
+    try {
+      process.env.HTTP_PROXY = `http://127.0.0.1:${proxy.address().port}`
+      const client = createAuthClient({ fetch: undiciFetch, imsBaseUrl: `http://127.0.0.1:${imsPort}` })
+      const result = await client.generateAccessToken(validParams)
+      expect(result.access_token).toBe('test-access-token')
+      expect(tunnels).toEqual([`127.0.0.1:${imsPort}`])
+    } finally {
+      await Promise.all([ims, proxy].map(server => new Promise(resolve => {
+        server.closeAllConnections()
+        server.close(resolve)
+      })))
+    }
+  })
+})
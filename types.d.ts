@@ -3,34 +3,542 @@
  * Generated from JSDoc
  */
 
+/**
+ * An IMS environment: 'prod', 'stage', or an environment registered with registerImsEnvironment
+ */
+export type ImsEnv = 'prod' | 'stage' | (string & {})
+
 export interface TokenParams {
   clientId: string
-  clientSecret: string
+  /** required unless privateKey is set */
+  clientSecret?: string
   orgId: string
   scopes?: string[]
-  environment?: 'prod' | 'stage'
+  environment?: ImsEnv
+  /** @deprecated set with privateKey and metaScopes to use legacy JWT service account credentials */
+  technicalAccountId?: string
+  /** a PEM encoded RSA private key, used to sign a client_assertion (private_key_jwt) instead of sending the client secret, or the private key of JWT credentials */
+  privateKey?: string
+  /** the ID of the private key, sent as the kid header of the client_assertion */
+  keyId?: string
+  /** the PEM encoded certificate of the private key, its SHA-256 thumbprint is sent as the x5t#S256 header of the client_assertion */
+  certificate?: string
+  /** @deprecated the metascopes of JWT credentials, e.g. 'ent_dataservices_sdk' */
+  metaScopes?: string[]
 }
 
 export interface TokenResponse {
   access_token: string
   token_type: string
   expires_in: number
+  /** absolute expiry, in ms since epoch, computed from expires_in */
+  expires_at?: number
+  /** set when the token was served by staleIfError because IMS is unavailable */
+  stale?: boolean
+}
+
+export interface GenerateAccessTokenOptions {
+  /** tokens expiring within this many ms are never returned from the cache, defaults to 5 minutes */
+  expiryMargin?: number
+  /** timeout in ms, the call fails with IMS_TIMEOUT */
+  timeout?: number
+  /** signal to cancel the call, the call fails with ABORTED */
+  signal?: AbortSignal
+  /** the name of the credentials among the named credentials of params.__ims_oauth_s2s, defaults to 'default' */
+  credentialName?: string
+}
+
+/**
+ * The code of an AuthSDKError
+ */
+export type AuthErrorCode =
+  | 'IMS_INVALID_CLIENT'
+  | 'IMS_UNAUTHORIZED_CLIENT'
+  | 'IMS_INVALID_SCOPE'
+  | 'IMS_INVALID_GRANT'
+  | 'IMS_INVALID_REQUEST'
+  | 'IMS_RATE_LIMITED'
+  | 'IMS_SERVER_ERROR'
+  | 'IMS_TOKEN_ERROR'
+  | 'IMS_VALIDATION_ERROR'
+  | 'IMS_REVOKE_ERROR'
+  | 'IMS_BAD_RESPONSE'
+  | 'IMS_NETWORK_ERROR'
+  | 'MISSING_PARAMETERS'
+  | 'BAD_CREDENTIALS_FORMAT'
+  | 'BAD_CREDENTIALS_JSON'
+  | 'UNKNOWN_CREDENTIAL_NAME'
+  | 'BAD_SCOPES_FORMAT'
+  | 'BAD_PRIVATE_KEY'
+  | 'BAD_CERTIFICATE'
+  | 'BAD_TOKEN_FORMAT'
+  | 'STATE_MISMATCH'
+  | 'UNKNOWN_IMS_ENV'
+  | 'BAD_IMS_URL'
+  | 'IMS_TIMEOUT'
+  | 'ABORTED'
+  | 'IMS_CIRCUIT_OPEN'
+  | 'GENERIC_ERROR'
+
+/**
+ * The errors thrown by the SDK
+ */
+export interface AuthSDKError extends Error {
+  name: 'AuthSDKError'
+  code: AuthErrorCode
+  sdk: 'AuthSDK'
+  /** details for debugging, e.g. the IMS statusCode and xDebugId, never secrets */
+  sdkDetails: Record<string, any>
+  /** whether the failed call is worth retrying later: rate limiting, server and network errors, timeouts */
+  retryable: boolean
+  /** the HTTP status of the IMS response, else an HTTP status describing the error, e.g. to answer an action call */
+  httpStatus?: number
 }
 
 /**
  * Generates an access token for authentication (with caching)
- * @param params - Parameters for token generation
+ * @param params - Parameters for token generation, or a JSON or base64 encoded JSON string of them
  * @param params.clientId - The client ID
  * @param params.clientSecret - The client secret
  * @param params.orgId - The organization ID
  * @param [params.scopes = []] - Array of scopes to request
  * @param [imsEnv] - The IMS environment ('prod' or 'stage'); when omitted or falsy, uses stage if __OW_NAMESPACE starts with 'development-', else prod
- * @returns Promise that resolves with the token response
+ * @param [options] - Options for this call
+ * @param [options.expiryMargin = 300000] - Tokens expiring within this many ms are never returned from the cache
+ * @returns Promise that resolves with the token response, including an expires_at timestamp
  */
-export function generateAccessToken(params: TokenParams): Promise<TokenResponse>
+export function generateAccessToken(params: TokenParams | string, imsEnv?: string, options?: GenerateAccessTokenOptions): Promise<TokenResponse>
 
 /**
  * Invalidates the token cache
  */
 export function invalidateCache(): void
 
+export interface RevokeAccessTokenOptions {
+  /** timeout in ms, the call fails with IMS_TIMEOUT */
+  timeout?: number
+  /** signal to cancel the call, the call fails with ABORTED */
+  signal?: AbortSignal
+  /** the name of the credentials among the named credentials of params.__ims_oauth_s2s, defaults to 'default' */
+  credentialName?: string
+}
+
+/**
+ * Revokes an access token with IMS, and removes it from the cache
+ * @param token - The access token to revoke
+ * @param params - The client credentials the token was obtained with, or params holding them in __ims_oauth_s2s
+ * @param [imsEnv] - The IMS environment ('prod' or 'stage'); when omitted or falsy, uses stage if __OW_NAMESPACE starts with 'development-', else prod
+ * @param [options] - Options for this call
+ * @returns Promise that resolves once IMS revoked the token
+ */
+export function revokeAccessToken(token: string, params: TokenParams | string, imsEnv?: string, options?: RevokeAccessTokenOptions): Promise<void>
+
+export interface ValidateAccessTokenParams {
+  /** the client ID the token must have been issued to */
+  clientId: string
+  /** the IMS environment, defaults to stage if __OW_NAMESPACE starts with 'development-', else prod */
+  env?: ImsEnv
+}
+
+export interface ValidateAccessTokenOptions {
+  /** timeout in ms, the call fails with IMS_TIMEOUT */
+  timeout?: number
+  /** signal to cancel the call, the call fails with ABORTED */
+  signal?: AbortSignal
+}
+
+export interface ValidationResult {
+  valid: boolean
+  /** why IMS considers the token invalid */
+  reason?: string
+  /** the token claims, null if the token could not be decoded */
+  claims: Record<string, unknown> | null
+}
+
+/**
+ * Validates an access token with IMS (results are briefly cached)
+ * @param token - The access token to validate, e.g. from a caller Authorization header
+ * @param params - Validation parameters
+ * @param [options] - Options for this call
+ * @returns Promise that resolves with the validation result
+ */
+export function validateAccessToken(token: string, params: ValidateAccessTokenParams, options?: ValidateAccessTokenOptions): Promise<ValidationResult>
+
+/**
+ * Retry policy for IMS calls. 429, 500, 502, 503, 504 and network failures are retried,
+ * with exponential backoff and jitter, honoring Retry-After on 429 and 503.
+ */
+export interface RetryOptions {
+  /** maximum number of attempts, set to 1 to disable retries, defaults to 3 */
+  maxAttempts?: number
+  /** backoff delay in ms after the first attempt, doubled on each attempt, defaults to 200 */
+  initialDelay?: number
+  /** maximum delay in ms between attempts, a longer Retry-After fails right away, defaults to 5000 */
+  maxDelay?: number
+}
+
+export interface AuthClientOptions {
+  /** default IMS environment for this client, used when a call does not set one */
+  env?: ImsEnv
+  /** tokens expiring within this many ms are never returned from the cache, defaults to 5 minutes */
+  expiryMargin?: number
+  /** cache TTL in ms for token responses without an expires_in, defaults to 5 minutes */
+  defaultTtl?: number
+  /** upper bound in ms for how long a token stays cached */
+  maxTtl?: number
+  /** maximum number of tokens held in the cache */
+  maxEntries?: number
+  /** IMS base URL for all environments, e.g. a local IMS stand-in */
+  imsBaseUrl?: string
+  /** IMS base URL overrides, keyed by environment, other keys add client specific environments */
+  imsUrls?: { prod?: string, stage?: string, [env: string]: string | undefined }
+  /** fetch implementation to use, defaults to the global fetch */
+  fetch?: typeof fetch
+  /** undici dispatcher for IMS calls, e.g. a ProxyAgent or a MockAgent, takes precedence over proxy, ca and keepAliveTimeout */
+  dispatcher?: unknown
+  /** proxy URL for IMS calls, defaults to the HTTPS_PROXY or HTTP_PROXY environment variable (NO_PROXY is honored), false disables proxying */
+  proxy?: string | false
+  /** extra PEM CA certificates, trusted on top of the Node.js root certificates, e.g. for a TLS intercepting proxy */
+  ca?: string | Uint8Array | Array<string | Uint8Array>
+  /** how long in ms idle connections to IMS are kept open */
+  keepAliveTimeout?: number
+  /** retry policy for IMS calls */
+  retry?: RetryOptions
+  /** default timeout in ms for token calls */
+  timeout?: number
+  /** fraction (between 0 and 1) of a token lifetime after which a cache hit also starts a background refresh */
+  refreshAhead?: number
+  /** called when a background refresh fails */
+  onRefreshError?: (error: Error, details: { clientId: string, orgId: string, scopes: string[], imsEnv: string }) => void
+  /** how long in ms cache hits wait before a new background refresh after a failed one, defaults to 30000 */
+  refreshCooldown?: number
+  /** when IMS is unavailable, return the last token obtained for the same credentials if it has not actually expired yet */
+  staleIfError?: boolean
+  /** stop calling IMS for a cool-down period after repeated failures */
+  circuitBreaker?: {
+    /** number of consecutive failures that opens the circuit, defaults to 5 */
+    failureThreshold?: number
+    /** how long in ms the circuit stays open, defaults to 30000 */
+    cooldown?: number
+  }
+  /** how long in ms validateAccessToken results are cached, 0 disables the cache, defaults to 60000 */
+  validationCacheTtl?: number
+  /** persistent token store shared across processes */
+  store?: TokenStore
+  /** set to false to only use the store and skip the in-memory cache, defaults to true */
+  memoryCache?: boolean
+  /** the providers resolving the credentials of a call, in order, defaults to the params, the annotation, the environment variables, then the .env file */
+  credentialProviders?: CredentialProvider[]
+}
+
+/**
+ * A token store, used by the auth client to share tokens beyond the process memory
+ */
+export interface TokenStore {
+  /** resolves with the stored value, or undefined if missing or expired */
+  get(key: string): Promise<TokenResponse | undefined>
+  /** stores a value for the given TTL in ms */
+  set(key: string, value: TokenResponse, ttl: number): Promise<void>
+  delete(key: string): Promise<void>
+}
+
+/**
+ * Creates a token store that keeps each entry in a JSON file
+ * @param [options.dir] - The directory holding the entries, defaults to <os tmpdir>/aio-lib-core-auth
+ */
+export function createFileStore(options?: { dir?: string }): TokenStore
+
+/**
+ * Creates a token store on top of an aio-lib-state style key/value store
+ * @param state - The key/value store, e.g. the result of `await require('@adobe/aio-lib-state').init()`
+ * @param [options.keyPrefix] - Prefix added to all keys, defaults to 'aio-lib-core-auth.'
+ */
+export function createStateStore(
+  state: {
+    get(key: string): Promise<{ value: string } | undefined>
+    put(key: string, value: string, options?: { ttl?: number }): Promise<unknown>
+    delete(key: string): Promise<unknown>
+  },
+  options?: { keyPrefix?: string }
+): TokenStore
+
+/**
+ * A source of credentials, in the provider chain of the auth client
+ */
+export interface CredentialProvider {
+  /** the provider name, reported with the credentials it supplied */
+  name: string
+  /** resolves with the credentials, or undefined if the source has none; rejects if the source cannot be read */
+  getCredentials(params: any, options: { credentialName?: string }): Promise<TokenParams | string | undefined>
+}
+
+export interface ResolvedCredentials {
+  credentials: TokenParams
+  /** the name of the provider that supplied the credentials, e.g. 'params', 'annotation', 'env' or 'file' */
+  provider: string
+}
+
+export interface ResolveCredentialsOptions {
+  /** the name of the credentials among named credentials, e.g. of params.__ims_oauth_s2s */
+  credentialName?: string
+}
+
+/**
+ * Creates a provider of the credentials passed as the call params, named 'params'
+ */
+export function createParamsProvider(): CredentialProvider
+
+/**
+ * Creates a provider of the credentials in params.__ims_oauth_s2s, set by the include-ims-credentials annotation, named 'annotation'
+ */
+export function createAnnotationProvider(): CredentialProvider
+
+/**
+ * Creates a provider of the credentials in the IMS_CLIENT_ID, IMS_CLIENT_SECRET, IMS_ORG_ID and IMS_SCOPES (comma separated) environment variables, named 'env'
+ * @param [options.env] - The environment variables, defaults to process.env
+ */
+export function createEnvProvider(options?: { env?: Record<string, string | undefined> }): CredentialProvider
+
+/**
+ * Creates a provider of the credentials in a .json file, or in the IMS_* variables of a .env file, named 'file'
+ * @param [options.path] - The file path, defaults to '.env'
+ */
+export function createFileProvider(options?: { path?: string }): CredentialProvider
+
+/**
+ * Resolves the credentials of a call like generateAccessToken, using the default client provider chain
+ * @param params - The call params, or credentials as a JSON or base64 encoded JSON string
+ * @param [options] - Options for this call
+ * @returns The validated credentials, and the name of the provider that supplied them
+ */
+export function resolveCredentials(params: any, options?: ResolveCredentialsOptions): Promise<ResolvedCredentials>
+
+/**
+ * Identifies the token operation of a lifecycle event, never holds secrets or tokens
+ */
+export interface TokenEventDetails {
+  clientId: string
+  orgId: string
+  scopes: string[]
+  imsEnv: string
+}
+
+/**
+ * Lifecycle event payloads, by event name
+ */
+export interface AuthClientEvents {
+  /** a cached token was returned */
+  cacheHit: TokenEventDetails & { source: 'memory' | 'store', expiresAt?: number }
+  /** no cached token, one is requested from IMS */
+  cacheMiss: TokenEventDetails
+  /** IMS returned a token, duration in ms */
+  tokenFetched: TokenEventDetails & { duration: number, expiresAt?: number, background: boolean }
+  /** the IMS token request failed */
+  tokenFetchFailed: TokenEventDetails & { duration: number, error: Error, background: boolean }
+  /** the caches were cleared, or a revoked token was purged */
+  cacheInvalidated: { reason: 'invalidateCache' } | ({ reason: 'revoke' } & TokenEventDetails)
+}
+
+export interface AuthClient {
+  generateAccessToken(params: TokenParams | string, imsEnv?: string, options?: GenerateAccessTokenOptions): Promise<TokenResponse>
+  validateAccessToken(token: string, params: ValidateAccessTokenParams, options?: ValidateAccessTokenOptions): Promise<ValidationResult>
+  revokeAccessToken(token: string, params: TokenParams | string, imsEnv?: string, options?: RevokeAccessTokenOptions): Promise<void>
+  resolveCredentials(params: any, options?: ResolveCredentialsOptions): Promise<ResolvedCredentials>
+  createAuthorizationRequest(params: AuthorizationRequestParams): AuthorizationRequest
+  exchangeAuthorizationCode(params: ExchangeAuthorizationCodeParams, options?: ExchangeAuthorizationCodeOptions): Promise<UserTokenResponse>
+  refreshAccessToken(params: RefreshAccessTokenParams, options?: RefreshAccessTokenOptions): Promise<UserTokenResponse>
+  createUserSession(params: UserSessionParams): UserSession
+  invalidateCache(): void
+  on<E extends keyof AuthClientEvents>(event: E, listener: (payload: AuthClientEvents[E]) => void): this
+  off<E extends keyof AuthClientEvents>(event: E, listener: (payload: AuthClientEvents[E]) => void): this
+}
+
+/**
+ * Creates an auth client, with its own token cache and configuration
+ * @param [options] - Client options
+ * @returns The auth client
+ */
+export function createAuthClient(options?: AuthClientOptions): AuthClient
+
+/**
+ * Access token information, decoded from the IMS JWT claims
+ */
+export interface TokenInfo {
+  type: string
+  clientId: string
+  userId: string
+  orgId?: string
+  as: string
+  scopes: string[]
+  createdAt: Date | null
+  /** token lifetime in ms */
+  expiresIn: number | null
+  expiresAt: Date | null
+  /** all the decoded claims */
+  claims: Record<string, unknown>
+}
+
+/**
+ * Decodes an IMS access token locally, without any network call. The signature is not verified.
+ * @param accessToken - The access token, or a token response with an access_token
+ * @returns The token information
+ */
+export function getTokenInfo(accessToken: string | TokenResponse): TokenInfo
+
+/**
+ * Checks whether an IMS access token is expired, tokens without expiry claims are considered expired
+ * @param accessToken - The access token, or a token response with an access_token
+ * @param [skewMs = 0] - Consider the token expired this many ms before its actual expiry
+ */
+export function isTokenExpired(accessToken: string | TokenResponse, skewMs?: number): boolean
+
+export interface AuthorizationRequestParams {
+  clientId: string
+  /** where IMS redirects the user with the code */
+  redirectUri: string
+  scopes?: string[]
+  /** a random state is generated by default */
+  state?: string
+  env?: ImsEnv
+}
+
+/**
+ * An authorization request, the state and codeVerifier must be kept until the user is redirected back
+ */
+export interface AuthorizationRequest {
+  /** the IMS authorize URL to redirect the user to */
+  url: string
+  state: string
+  codeVerifier: string
+  codeChallenge: string
+}
+
+export interface ExchangeAuthorizationCodeParams {
+  clientId: string
+  /** omitted for public clients */
+  clientSecret?: string
+  /** the code query parameter of the redirect */
+  code: string
+  /** the state query parameter of the redirect */
+  state: string
+  /** the state of the authorization request */
+  expectedState: string
+  /** the code verifier of the authorization request */
+  codeVerifier: string
+  env?: ImsEnv
+}
+
+export interface ExchangeAuthorizationCodeOptions {
+  /** timeout in ms, the call fails with IMS_TIMEOUT */
+  timeout?: number
+  /** signal to cancel the call, the call fails with ABORTED */
+  signal?: AbortSignal
+}
+
+export interface UserTokenResponse extends TokenResponse {
+  refresh_token?: string
+  id_token?: string
+}
+
+/**
+ * Starts the authorization code flow with PKCE
+ * @param params - Authorization parameters
+ * @returns The URL to redirect the user to, keep the state and codeVerifier for exchangeAuthorizationCode
+ */
+export function createAuthorizationRequest(params: AuthorizationRequestParams): AuthorizationRequest
+
+/**
+ * Verifies the state of the redirect, then exchanges the authorization code for user tokens (not cached)
+ * @param params - Parameters for the code exchange
+ * @param [options] - Options for this call
+ */
+export function exchangeAuthorizationCode(params: ExchangeAuthorizationCodeParams, options?: ExchangeAuthorizationCodeOptions): Promise<UserTokenResponse>
+
+/**
+ * Verifies that the state of the redirect is the state of the authorization request, throws STATE_MISMATCH otherwise
+ * @param state - The state query parameter of the redirect
+ * @param expectedState - The state of the authorization request
+ */
+export function verifyState(state: string, expectedState: string): void
+
+export interface RefreshAccessTokenParams {
+  clientId: string
+  /** omitted for public clients */
+  clientSecret?: string
+  refreshToken: string
+  env?: ImsEnv
+}
+
+export interface RefreshAccessTokenOptions {
+  /** timeout in ms, the call fails with IMS_TIMEOUT */
+  timeout?: number
+  /** signal to cancel the call, the call fails with ABORTED */
+  signal?: AbortSignal
+}
+
+/**
+ * Gets new user tokens using a refresh token (not cached)
+ * @param params - Parameters for the refresh
+ * @param [options] - Options for this call
+ * @returns Promise that resolves with the token response, with a new refresh_token if IMS rotated it
+ */
+export function refreshAccessToken(params: RefreshAccessTokenParams, options?: RefreshAccessTokenOptions): Promise<UserTokenResponse>
+
+export interface UserSessionParams {
+  clientId: string
+  /** omitted for public clients */
+  clientSecret?: string
+  /** the initial tokens, e.g. from exchangeAuthorizationCode */
+  tokens: UserTokenResponse
+  env?: ImsEnv
+  /** the access token is refreshed this many ms before it expires, defaults to 5 minutes */
+  expiryMargin?: number
+  /** set to false to only refresh when getAccessToken is called, defaults to true */
+  autoRefresh?: boolean
+}
+
+/**
+ * A user session, keeping the current user tokens and refreshing them before they expire
+ */
+export interface UserSession {
+  /** resolves with the current access token, refreshed first if it expires within the margin */
+  getAccessToken(): Promise<string>
+  /** refreshes the tokens now */
+  refresh(): Promise<UserTokenResponse>
+  getTokens(): UserTokenResponse
+  /** cancels the scheduled refresh */
+  stop(): void
+  on(event: 'refresh', listener: (tokens: UserTokenResponse) => void): this
+  /** IMS returned a new refresh token, persist it to resume the session later */
+  on(event: 'refreshTokenRotated', listener: (details: { refreshToken: string }) => void): this
+  /** a scheduled refresh failed, the next getAccessToken call tries again */
+  on(event: 'refreshError', listener: (error: Error) => void): this
+}
+
+/**
+ * Creates a user session, which keeps the current user tokens and refreshes them before they expire
+ * @param params - Session parameters
+ */
+export function createUserSession(params: UserSessionParams): UserSession
+
+/**
+ * Registers a named IMS environment, which can then be used everywhere an env is accepted.
+ * Registering 'prod' or 'stage' replaces their default base URL.
+ * @param name - The environment name
+ * @param baseUrl - The IMS base URL of the environment
+ */
+export function registerImsEnvironment(name: string, baseUrl: string): void
+
+/**
+ * Adds a listener for the lifecycle events of the default client
+ * @param event - The event name
+ * @param listener - Called with the event payload
+ */
+export function on<E extends keyof AuthClientEvents>(event: E, listener: (payload: AuthClientEvents[E]) => void): void
+
+/**
+ * Removes a listener added with on
+ * @param event - The event name
+ * @param listener - The listener to remove
+ */
+export function off<E extends keyof AuthClientEvents>(event: E, listener: (payload: AuthClientEvents[E]) => void): void